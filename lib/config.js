@@ -0,0 +1,64 @@
+/**
+ * Config helpers shared by --config and the fingerprint database: regexes as strings,
+ * schema validation and the key-by-key merge.
+ *
+ * Schema types: 'string', 'string[]', 'string{}', 'regex', 'regex[]', 'regex{}' and
+ * numbers — non-negative unless a range is given ("number:0..1", "integer:1..", either
+ * bound may be left open). A nested object is a nested schema.
+ */
+
+function regexToString(rx) { return `/${rx.source}/${rx.flags}`; }
+function toRegex(str, flags = '') {
+  const m = /^\/([\s\S]+)\/([dgimsuy]*)$/.exec(str);
+  return m ? new RegExp(m[1], m[2]) : new RegExp(str, flags);
+}
+
+function validateConfig(obj, schema, at = '') {
+  const errors = [];
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return [`${at || 'config'} must be an object`];
+  for (const [key, val] of Object.entries(obj)) {
+    const where = at ? `${at}.${key}` : key;
+    const type = schema[key];
+    if (!type) { errors.push(`${where} is not a known setting`); continue; }
+    if (typeof type === 'object') { errors.push(...validateConfig(val, type, where)); continue; }
+    const isMap = type.endsWith('{}');
+    const num = /^(number|integer)(?::([\d.]*)\.\.([\d.]*))?$/.exec(type);
+    if (num) {
+      const [, kind, min = '0', max = ''] = num;
+      const lo = Number(min || 0);
+      const hi = max ? Number(max) : Infinity;
+      const ok = typeof val === 'number' && Number.isFinite(val) && val >= lo && val <= hi && (kind === 'number' || Number.isInteger(val));
+      const range = hi === Infinity ? `>= ${lo}` : `between ${lo} and ${hi}`;
+      if (!ok) errors.push(`${where} must be ${kind === 'integer' ? 'an integer' : 'a number'} ${range}`);
+    }
+    if (type === 'string' && typeof val !== 'string') errors.push(`${where} must be a string`);
+    if (type === 'string[]' && !(Array.isArray(val) && val.every(v => typeof v === 'string' && v))) errors.push(`${where} must be an array of strings`);
+    if (type === 'regex[]' && !Array.isArray(val)) { errors.push(`${where} must be an array of regex strings`); continue; }
+    if (isMap && (!val || typeof val !== 'object' || Array.isArray(val))) { errors.push(`${where} must be an object`); continue; }
+    const values = type === 'regex' ? [[where, val]]
+      : type === 'regex{}' ? Object.entries(val).map(([k, v]) => [`${where}.${k}`, v])
+      : type === 'regex[]' ? val.map((v, i) => [`${where}[${i}]`, v]) : [];
+    for (const [w, v] of values) {
+      if (v === null && type === 'regex{}') continue;
+      if (typeof v !== 'string') { errors.push(`${w} must be a regex string`); continue; }
+      try { toRegex(v); } catch (e) { errors.push(`${w} is not a valid regex (${e.message})`); }
+    }
+    if (type === 'string{}') {
+      for (const [k, v] of Object.entries(val)) if (v !== null && typeof v !== 'string') errors.push(`${where}.${k} must be a string`);
+    }
+  }
+  return errors;
+}
+
+function mergeConfig(base, over) {
+  const out = { ...base };
+  for (const [key, val] of Object.entries(over || {})) {
+    if (val === null) delete out[key];
+    else if (val && typeof val === 'object' && !Array.isArray(val) && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+      out[key] = mergeConfig(base[key], val);
+    } else out[key] = val;
+  }
+  return out;
+}
+
+module.exports = { regexToString, toRegex, validateConfig, mergeConfig };
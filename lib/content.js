@@ -0,0 +1,432 @@
+/**
+ * Text, HTML and JSON extraction shared by the scanner and the probes (ctx.util): entity
+ * decoding, word counts, language detection, article-likeness signals, JSON body fields and
+ * the Markdown / plain-text extraction of exposed bodies. No I/O.
+ */
+
+const { htmlToText, leakPercent } = require('./leak');
+const { ARTICLE_KEYS_RX, HTML_LIKE_RX, STOPWORDS, ABBREVIATIONS, DEFAULT_CONFIG, compileHeuristics } = require('./heuristics');
+
+/* analyzeHtmlContent() without a --config */
+const DEFAULT_RULES = compileHeuristics(DEFAULT_CONFIG);
+
+/* Named entities seen in article bodies; numeric references cover the rest */
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™',
+  deg: '°', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', times: '×', divide: '÷', iexcl: '¡', iquest: '¿',
+  szlig: 'ß', aelig: 'æ', AElig: 'Æ', oelig: 'œ', OElig: 'Œ', oslash: 'ø', Oslash: 'Ø', aring: 'å', Aring: 'Å', ccedil: 'ç', Ccedil: 'Ç', ntilde: 'ñ', Ntilde: 'Ñ'
+};
+const ACCENTS = { acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303' };
+
+/* Decodes HTML character references without a DOM (&amp; &#8217; &#x2019; &eacute; …) */
+function parseHtmlEntities(encodedString) {
+  return String(encodedString ?? '').replace(/&(#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : Number(ref.slice(1));
+      try { return code ? String.fromCodePoint(code) : m; } catch { return m; }
+    }
+    if (ref in HTML_ENTITIES) return HTML_ENTITIES[ref];
+    const accent = /^([a-z])(acute|grave|circ|uml|tilde)$/i.exec(ref);
+    return accent ? (accent[1] + ACCENTS[accent[2]]).normalize('NFC') : m;
+  });
+}
+/*
+ * Re-inserts paragraph breaks where extraction glued sentences together ("end.Next").
+ * `lang` selects the abbreviations to keep intact (all languages when unknown).
+ */
+function breakText(str, headers = false, lang = null) {
+  const abbr = new Set(lang && ABBREVIATIONS[lang] ? ABBREVIATIONS[lang] : Object.values(ABBREVIATIONS).flat());
+  str = str.replace(/(^|[\p{L}\p{N}.]*[\p{L}"“”»)])(\.+|\?|!)(?=[\p{Lu}„“«¿¡\d][\p{L}„\d]{1,})/gmu, (m, word, punct) => {
+    if (punct === '.' && abbr.has(word.toLowerCase().replace(/^[^\p{L}]+/u, ''))) return m;
+    return m + '\n\n';
+  });
+  if (headers) str = str.replace(/((\p{Ll}{2,}|["“]))(?=\p{Lu}(?=\p{L}+))/gmu, '$&\n\n');
+  return str;
+}
+
+/* Words as the language segments them (Intl.Segmenter), letters/digits runs as fallback */
+function countWords(text, lang = null) {
+  if (!text) return 0;
+  try {
+    let n = 0;
+    for (const seg of new Intl.Segmenter(lang || undefined, { granularity: 'word' }).segment(text)) if (seg.isWordLike) n++;
+    return n;
+  } catch {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+  }
+}
+
+/* <html lang> / content-language / og:locale first, then stopword frequency; null when unsure */
+function detectLanguage(html, text = null) {
+  const m = /<html[^>]*\slang=["']?([a-z]{2})/i.exec(html || '')
+    || /<meta[^>]+http-equiv=["']content-language["'][^>]*content=["']([a-z]{2})/i.exec(html || '')
+    || /<meta[^>]+property=["']og:locale["'][^>]*content=["']([a-z]{2})/i.exec(html || '');
+  if (m) return m[1].toLowerCase();
+  const words = ((text ?? html ?? '').toLowerCase().match(/\p{L}+/gu) || []).slice(0, 3000);
+  if (words.length < 20) return null;
+  let best = null, bestHits = 0;
+  for (const [lang, list] of Object.entries(STOPWORDS)) {
+    const set = new Set(list);
+    const hits = words.filter(w => set.has(w)).length;
+    if (hits > bestHits) { best = lang; bestHits = hits; }
+  }
+  return bestHits / words.length >= 0.05 ? best : null;
+}
+
+/* Recursive JSON key finder for nested content */
+function findKeyJson(obj, keyRegex, maxDepth = 5, currentDepth = 0) {
+  if (currentDepth > maxDepth) return null;
+  if (typeof obj !== 'object' || obj === null) return null;
+  for (const key in obj) {
+    if (keyRegex.test(key)) return obj[key];
+    const nested = findKeyJson(obj[key], keyRegex, maxDepth, currentDepth + 1);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/* Every key matching keyRegex with its dotted path (findKeyJson stops at the first) */
+function findKeyPaths(obj, keyRegex, maxDepth = 8, trail = '', out = []) {
+  if (maxDepth < 0 || typeof obj !== 'object' || obj === null || out.length >= 500) return out;
+  for (const key in obj) {
+    const p = trail ? `${trail}.${key}` : key;
+    if (keyRegex.test(key)) out.push({ path: p, value: obj[key] });
+    findKeyPaths(obj[key], keyRegex, maxDepth - 1, p, out);
+  }
+  return out;
+}
+
+/* Text of a JSON body field: HTML string, plain string or block array ({ text } / { content } / children) */
+function jsonFieldText(v) {
+  if (typeof v === 'string') return /<[a-z][\s\S]*>/i.test(v) ? htmlToText(v) : v.trim();
+  if (Array.isArray(v)) {
+    return v.map(b => {
+      if (typeof b === 'string') return b;
+      if (!b || typeof b !== 'object') return '';
+      if (Array.isArray(b.children)) return b.children.map(c => (c && c.text) || '').join('');
+      return jsonFieldText(b.text ?? b.content ?? '');
+    }).filter(Boolean).join('\n\n');
+  }
+  return '';
+}
+
+/* Longest article-like field of a JSON document: { path, text } or null */
+function jsonArticleText(obj, keyRegex = ARTICLE_KEYS_RX) {
+  let best = null;
+  for (const { path: p, value } of findKeyPaths(obj, keyRegex)) {
+    const text = jsonFieldText(value);
+    if (!best || text.length > best.text.length) best = { path: p, text };
+  }
+  return best && best.text ? best : null;
+}
+
+/* Enhanced article-like signal with false positive filtering */
+function analyzeHtmlContent(htmlContent, teaserLength = 0, lang = null, rules = DEFAULT_RULES) {
+  const str = htmlContent || '';
+  const len = str.length;
+
+  const tagP = (str.match(/<p[\s>]/gi) || []).length;
+  const tagH = (str.match(/<h[1-3][\s>]/gi) || []).length;
+  const tagArticle = /<article[\s>]/i.test(str);
+  const hasMain = /<main[\s>]/i.test(str);
+
+  const textOnly = htmlToText(str);
+  const language = detectLanguage(str, textOnly) || lang;
+  const wordCount = countWords(textOnly, language);
+
+  const density = len ? Math.min(1, wordCount / Math.max(200, len / 6)) : 0;
+
+  const hasKeys = ARTICLE_KEYS_RX.test(str);
+  const looksHtml = HTML_LIKE_RX.test(str);
+  const isPaywallContent = rules.PAYWALL_STRINGS_RX.test(textOnly);
+  /* Detected language plus English (login / subscribe buttons are often left untranslated); all when unknown */
+  const phrases = rules.PAYWALL_PHRASES;
+  const langs = language && phrases[language] ? [language, 'en'] : Object.keys(phrases);
+  const hasSubscriptionPrompt = langs.some(l => phrases[l] && phrases[l].test(textOnly));
+
+  // Stricter criteria to reduce false positives
+  const t = rules.ARTICLE_LIKE;
+  const articleLike =
+    looksHtml &&
+    !isPaywallContent &&
+    !hasSubscriptionPrompt &&
+    wordCount > t.minWords && // Higher threshold
+    density > t.minDensity && // Tighter density
+    len > (teaserLength * t.teaserMultiple) && // Significantly longer than teaser
+    (tagArticle || hasMain || (tagP >= t.minParagraphs && tagH >= t.minHeadings)); // Stricter tag requirements
+
+  return {
+    contentBytes: len,
+    language,
+    tagP,
+    tagH,
+    hasArticleTag: !!tagArticle,
+    hasMain,
+    wordCount,
+    density: Number(density.toFixed(3)),
+    hasArticleKeys: hasKeys,
+    looksHtml,
+    isPaywallContent,
+    hasSubscriptionPrompt,
+    articleLike,
+    validationScore: articleLike ? 'HIGH' : isPaywallContent ? 'PAYWALLED' : 'LOW'
+  };
+}
+
+/* Extract article from JSON with recursive key finding */
+function extractJsonContent(jsonStr, isNextData = false) {
+  try {
+    const json = JSON.parse(jsonStr);
+    let content = '';
+    if (isNextData) {
+      const body = findKeyJson(json, /body|blocks|content/i);
+      if (Array.isArray(body)) {
+        content = body.map(b => b.text || (b.children ? b.children.map(c => c.text).join('') : '')).join('\n\n');
+      } else if (typeof body === 'string') {
+        content = body;
+      }
+    } else {
+      const arr = Array.isArray(json) ? json : [json];
+      for (const item of arr) {
+        /* Exact keys: a substring match would pick "@context" */
+        const field = jsonArticleText(item, /^(articlebody|text)$/i);
+        if (field) content += breakText(parseHtmlEntities(field.text)) + '\n\n';
+      }
+    }
+    return content.trim();
+  } catch {}
+  return '';
+}
+
+/*
+ * Exposure verdict for a captured artifact (ctx.assess). With a subscriber baseline the
+ * artifact is exposed when it carries at least leak.minPercent of the premium body (and more
+ * than the anonymous page); without one, `fallback` or the articleLike heuristic decides.
+ * `baseline: false` is for content that is not the scanned article (another article id),
+ * which the baseline cannot measure.
+ */
+function assessContent(content, opts = {}, { rules = DEFAULT_RULES, teaserLength = 0, lang = null, premium = null, teaserPct = null } = {}) {
+  const sig = analyzeHtmlContent(content, teaserLength, lang, rules);
+  if (!premium || opts.baseline === false) return { sig, exposed: opts.fallback ?? sig.articleLike, leakPct: null };
+  const leakPct = leakPercent(premium.shingles, content, rules.LEAK.shingleSize);
+  return { sig, exposed: leakPct >= rules.LEAK.minPercent && leakPct > (teaserPct || 0), leakPct };
+}
+
+/*
+ * Node-side extraction of exposed bodies: a tolerant HTML tree builder, Readability-style
+ * boilerplate removal and block collection, rendered as Markdown and plain text. saveContent()
+ * writes both next to every raw HTML / JSON artifact.
+ */
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'textarea', 'canvas', 'object']);
+const BOILERPLATE_TAGS = new Set(['nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'menu']);
+const BOILERPLATE_RX = /comment|share|social|related|recommend|newsletter|promo|sponsor|advert|\bads?\b|banner|cookie|consent|paywall|subscri|regwall|footer|masthead|\bnav|menu|sidebar|breadcrumb|author-bio|\btags\b|popup|modal|outbrain|taboola/i;
+const CONTENT_HINT_RX = /article|body|content|main|story|entry|post-text/i;
+const BLOCK_TAGS = new Set(['address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul']);
+
+function parseAttrs(str) {
+  const attrs = {};
+  for (const m of (str || '').matchAll(/([^\s=/"'>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g)) {
+    attrs[m[1].toLowerCase()] = m[2] ? parseHtmlEntities(m[2].replace(/^["']|["']$/g, '')) : '';
+  }
+  return attrs;
+}
+
+/* Element tree { tag, attrs, children, parent }; text nodes are strings, raw-text elements are dropped */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  let cur = root;
+  const rx = /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  const lower = html.toLowerCase();
+  let m;
+  while ((m = rx.exec(html))) {
+    const tok = m[0];
+    if (tok.startsWith('<!')) continue;
+    if (!m[1]) { cur.children.push(tok); continue; }
+    const tag = m[1].toLowerCase();
+    if (tok[1] === '/') {
+      for (let n = cur; n !== root; n = n.parent) if (n.tag === tag) { cur = n.parent; break; }
+      continue;
+    }
+    if (SKIP_TAGS.has(tag)) {
+      const end = lower.indexOf(`</${tag}`, rx.lastIndex);
+      rx.lastIndex = end < 0 ? html.length : end;
+      continue;
+    }
+    /* Implied end tags: a block closes an open <p>, <li> closes its sibling */
+    if (cur.tag === 'p' && BLOCK_TAGS.has(tag)) cur = cur.parent;
+    if (tag === 'li' && cur.tag === 'li') cur = cur.parent;
+    const node = { tag, attrs: parseAttrs(m[2]), children: [], parent: cur };
+    cur.children.push(node);
+    if (!VOID_TAGS.has(tag) && !tok.endsWith('/>')) cur = node;
+  }
+  return root;
+}
+
+function isBoilerplate(node) {
+  if (BOILERPLATE_TAGS.has(node.tag)) return true;
+  if (node.attrs.hidden != null || node.attrs['aria-hidden'] === 'true' || /display:\s*none/i.test(node.attrs.style || '')) return true;
+  const hint = `${node.attrs.class || ''} ${node.attrs.id || ''} ${node.attrs.role || ''}`;
+  return BOILERPLATE_RX.test(hint) && !CONTENT_HINT_RX.test(hint);
+}
+
+function nodeText(node) {
+  if (typeof node === 'string') return parseHtmlEntities(node);
+  if (node.tag === 'br') return '\n';
+  if (isBoilerplate(node)) return '';
+  return node.children.map(nodeText).join('');
+}
+const hasBlock = (node) => node.children.some(c => typeof c !== 'string' && (BLOCK_TAGS.has(c.tag) || hasBlock(c)));
+const squash = (s) => s.replace(/[ \t\r\f\v ]+/g, ' ').replace(/ *\n */g, '\n').trim();
+
+/* Readability-style candidate: paragraph text credited to parent (and half to grandparent), link density discounted */
+function bestCandidate(root) {
+  const scores = new Map();
+  const visit = (node) => {
+    for (const c of node.children) {
+      if (typeof c === 'string' || isBoilerplate(c)) continue;
+      if (['p', 'pre', 'td', 'blockquote'].includes(c.tag)) {
+        const text = squash(nodeText(c));
+        if (text.length >= 25) {
+          const score = 1 + (text.match(/[,،、，]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+          scores.set(node, (scores.get(node) || 0) + score);
+          if (node.parent) scores.set(node.parent, (scores.get(node.parent) || 0) + score / 2);
+        }
+      }
+      visit(c);
+    }
+  };
+  visit(root);
+  let best = null, bestScore = 0;
+  for (const [node, score] of scores) {
+    const text = squash(nodeText(node)).length || 1;
+    const links = [];
+    const collect = (n) => n.children.forEach(c => { if (typeof c !== 'string') (c.tag === 'a' ? links.push(c) : collect(c)); });
+    collect(node);
+    const linkChars = links.reduce((n, a) => n + squash(nodeText(a)).length, 0);
+    const adjusted = score * (1 - Math.min(1, linkChars / text));
+    if (adjusted > bestScore) { best = node; bestScore = adjusted; }
+  }
+  return best;
+}
+
+/* Headings, paragraphs, list items, quotes and code blocks in document order */
+function collectBlocks(node, out = [], quote = false) {
+  let inline = '';
+  const flush = () => {
+    const text = squash(inline);
+    if (text) out.push({ type: 'p', text, quote });
+    inline = '';
+  };
+  for (const c of node.children) {
+    if (typeof c === 'string') { inline += parseHtmlEntities(c); continue; }
+    if (isBoilerplate(c)) continue;
+    if (/^h[1-6]$/.test(c.tag)) {
+      flush();
+      const text = squash(nodeText(c));
+      if (text) out.push({ type: 'heading', level: Number(c.tag[1]), text, quote });
+    } else if (c.tag === 'li') {
+      flush();
+      const text = squash(nodeText(c));
+      if (text) out.push({ type: 'li', ordered: node.tag === 'ol', text, quote });
+    } else if (c.tag === 'pre') {
+      flush();
+      const text = nodeText(c).replace(/^\n+|\s+$/g, '');
+      if (text) out.push({ type: 'pre', text, quote });
+    } else if (c.tag === 'blockquote') {
+      flush();
+      collectBlocks(c, out, true);
+    } else if (c.tag === 'br') {
+      inline += '\n';
+    } else if (BLOCK_TAGS.has(c.tag)) {
+      flush();
+      collectBlocks(c, out, quote);
+    } else if (hasBlock(c)) {
+      /* Inline element wrapping blocks (<a><div>…</div></a>) */
+      flush();
+      collectBlocks(c, out, quote);
+    } else {
+      inline += nodeText(c);
+    }
+  }
+  flush();
+  return out;
+}
+
+function blocksToMarkdown(blocks) {
+  const lines = blocks.map(b => {
+    const pre = b.quote ? '> ' : '';
+    if (b.type === 'heading') return `${pre}${'#'.repeat(b.level)} ${b.text}`;
+    if (b.type === 'li') return `${pre}${b.ordered ? '1.' : '-'} ${b.text}`;
+    if (b.type === 'pre') return `${pre}\`\`\`\n${b.text}\n\`\`\``;
+    return pre + b.text.replace(/\n/g, `  \n${pre}`);
+  });
+  return lines.reduce((md, line, i) => (i === 0 ? line : md + (blocks[i].type === 'li' && blocks[i - 1].type === 'li' ? '\n' : '\n\n') + line), '') + '\n';
+}
+
+/*
+ * Cleaned body of a raw artifact: HTML page (best candidate), HTML fragment, JSON (longest
+ * article-like field, or `body` when the caller already knows it) or plain text.
+ * Returns { title, markdown, text, words, source }.
+ */
+function extractContent(raw, { body = null, lang = null } = {}) {
+  let source = body;
+  let kind = 'text';
+  if (source == null) {
+    source = raw || '';
+    try {
+      const json = JSON.parse(source);
+      let best = null;
+      for (const { value } of findKeyPaths(json, ARTICLE_KEYS_RX)) {
+        const len = jsonFieldText(value).length;
+        if (len && (!best || len > best.len)) best = { value, len };
+      }
+      source = !best ? '' : typeof best.value === 'string' ? best.value : jsonFieldText(best.value);
+      kind = 'json';
+    } catch {}
+  }
+
+  let title = null;
+  let blocks;
+  if (/<[a-z][\s\S]*>/i.test(source)) {
+    const root = parseHtml(source);
+    const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source);
+    if (titleMatch) title = squash(parseHtmlEntities(titleMatch[1])) || null;
+    const page = /<(html|body)[\s>]/i.test(source);
+    blocks = collectBlocks(page ? bestCandidate(root) || root : root);
+    if (kind === 'text') kind = page ? 'html' : 'fragment';
+  } else {
+    blocks = breakText(parseHtmlEntities(source), false, lang)
+      .split(/\n\s*\n/)
+      .map(p => squash(p))
+      .filter(Boolean)
+      .map(text => ({ type: 'p', text, quote: false }));
+  }
+  if (!title) title = (blocks.find(b => b.type === 'heading') || {}).text || null;
+
+  const text = blocks.map((b, i) => (i === 0 ? '' : b.type === 'li' && blocks[i - 1].type === 'li' ? '\n' : '\n\n') + b.text).join('');
+  return {
+    title,
+    markdown: blocks.length ? blocksToMarkdown(blocks) : '',
+    text: text ? text + '\n' : '',
+    words: countWords(text, lang || detectLanguage(source, text)),
+    source: kind
+  };
+}
+
+module.exports = {
+  parseHtmlEntities,
+  breakText,
+  countWords,
+  detectLanguage,
+  findKeyJson,
+  findKeyPaths,
+  jsonFieldText,
+  jsonArticleText,
+  analyzeHtmlContent,
+  assessContent,
+  extractJsonContent,
+  extractContent
+};
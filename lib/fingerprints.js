@@ -0,0 +1,63 @@
+/**
+ * Provider fingerprint database (fingerprints/providers.json and --fingerprints files):
+ * shape validation at load and the confidence score paywall_provider gives a provider
+ * from the signal types it found.
+ */
+
+const { validateConfig } = require('./config');
+
+const FINGERPRINT_SCHEMA = {
+  version: 'string',
+  description: 'string',
+  weights: {
+    scripts: 'number:0..1',
+    endpoints: 'number:0..1',
+    globals: 'number:0..1',
+    cookies: 'number:0..1',
+    dom: 'number:0..1'
+  },
+  minConfidence: 'number:0..1'
+};
+const PROVIDER_SCHEMA = {
+  name: 'string',
+  category: 'string',
+  scripts: 'regex[]',
+  endpoints: 'regex[]',
+  cookies: 'regex[]',
+  globals: 'string[]',
+  dom: 'string[]',
+  version: { global: 'string', script: 'regex', meta: 'regex' }
+};
+
+/*
+ * Shape check for one fingerprint file. A global alone is enough for a match, so a global
+ * needs three characters or more (`tp` or `$` would match unrelated sites); qualify short
+ * names with a dotted path (`tp.experience`).
+ */
+function validateFingerprints(db) {
+  if (!db || typeof db !== 'object' || Array.isArray(db)) return ['fingerprints must be an object'];
+  const { providers, ...rest } = db;
+  const errors = validateConfig(rest, FINGERPRINT_SCHEMA);
+  if (providers === undefined) return errors;
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) return [...errors, 'providers must be an object'];
+  for (const [id, p] of Object.entries(providers)) {
+    if (p === null) continue;
+    const where = `providers.${id}`;
+    const errs = validateConfig(p, PROVIDER_SCHEMA, where);
+    errors.push(...errs);
+    if (!errs.length && p.globals) {
+      for (const g of p.globals) if (g.length < 3) errors.push(`${where}.globals: "${g}" is too generic, use a dotted path`);
+    }
+  }
+  return errors;
+}
+
+/* Independent signals combined as 1 - Π(1 - weight) per signal type present */
+function scoreProvider(evidence, weights) {
+  const signals = Object.keys(evidence).filter(k => evidence[k] && evidence[k].length);
+  const confidence = Number((1 - signals.reduce((acc, k) => acc * (1 - (weights[k] || 0)), 1)).toFixed(2));
+  const level = confidence >= 0.75 ? 'high' : confidence >= 0.45 ? 'medium' : 'low';
+  return { signals, confidence, level };
+}
+
+module.exports = { FINGERPRINT_SCHEMA, PROVIDER_SCHEMA, validateFingerprints, scoreProvider };
@@ -0,0 +1,124 @@
+/**
+ * GraphQL request parsing shared by graphql_scan and entitlement_replay: operations of a
+ * captured request, whether it is GraphQL at all, and the type / name / fields of an
+ * operation (anchored to its definition, not to the first keyword in the document).
+ */
+
+const KEYWORDS = new Set(['query', 'mutation', 'subscription', 'fragment', 'on', 'true', 'false', 'null']);
+const DOCUMENT_RX = /^\s*(\{|(query|mutation|subscription|fragment)\b)/;
+
+/* Strings, block strings and comments blanked so braces and keywords inside them do not count */
+function stripLiterals(query) {
+  return String(query || '')
+    .replace(/"""[\s\S]*?"""/g, '""')
+    .replace(/"(?:[^"\\\n]|\\.)*"/g, '""')
+    .replace(/#[^\n]*/g, '');
+}
+
+/* A query document: `{ … }` shorthand or a leading query / mutation / subscription / fragment */
+function isGraphqlDocument(query) {
+  return typeof query === 'string' && DOCUMENT_RX.test(stripLiterals(query));
+}
+
+/* Heads of the top-level definitions ("query Foo", "fragment F on T", "" for `{ … }`) */
+function definitionHeads(src) {
+  const heads = [];
+  let braces = 0, parens = 0, head = '';
+  for (const ch of src) {
+    if (ch === '(') parens++;
+    else if (ch === ')') parens = Math.max(0, parens - 1);
+    else if (ch === '{') {
+      if (!braces && !parens) { heads.push(head.trim()); head = ''; }
+      braces++;
+    } else if (ch === '}') braces = Math.max(0, braces - 1);
+    else if (!braces && !parens) head += ch;
+  }
+  return heads;
+}
+
+/* Operation type/name (the named operation, else the first one) and the field names selected */
+function describeQuery(query = '', operationName = null) {
+  const src = stripLiterals(query);
+  const ops = definitionHeads(src)
+    .filter(h => !/^fragment\b/.test(h))
+    .map(h => {
+      if (!h) return { type: 'query', name: null };
+      const m = /^(query|mutation|subscription)\b\s*([_A-Za-z]\w*)?/.exec(h);
+      return m ? { type: m[1], name: m[2] || null } : { type: null, name: null };
+    });
+  const op = (operationName && ops.find(o => o.name === operationName)) || ops[0] || { type: null, name: null };
+  const names = new Set(ops.map(o => o.name).filter(Boolean));
+  const stripped = src
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\.\.\.\s*on\s+\w+/g, '')
+    .replace(/\.\.\.\s*\w+/g, '')
+    .replace(/\bfragment\s+\w+\s+on\s+\w+/g, '');
+  const fields = new Set();
+  for (const m of stripped.matchAll(/(?:^|[\s{,])([_A-Za-z]\w*)(?:\s*:\s*([_A-Za-z]\w*))?/g)) {
+    const name = m[2] || m[1];
+    if (!KEYWORDS.has(name) && !names.has(name)) fields.add(name);
+  }
+  return { type: op.type, name: op.name, fields: [...fields] };
+}
+
+/* GraphQL-style response: an object (or batch of objects) with `data` or `errors` */
+function isGraphqlResponse(content) {
+  try {
+    const json = JSON.parse(content || '');
+    return (Array.isArray(json) ? json : [json]).some(o => o && typeof o === 'object' && ('data' in o || 'errors' in o));
+  } catch {
+    return false;
+  }
+}
+
+/*
+ * { operationName, query, variables, extensions } from a POST body (object or batch) or GET
+ * params. A `query` key alone is not enough (REST search, Algolia, Elasticsearch use it): the
+ * request counts as GraphQL when the query is a GraphQL document, the path is /graphql or
+ * the response has the { data | errors } shape.
+ */
+function parseOperations(method, url, postData, content) {
+  let ops = [];
+  if (method === 'POST') {
+    try {
+      const json = JSON.parse(postData || '');
+      ops = (Array.isArray(json) ? json : [json]).filter(o => o && typeof o === 'object' && (o.query || o.extensions));
+    } catch {
+      return [];
+    }
+  } else {
+    let u;
+    try { u = new URL(url); } catch { return []; }
+    if (!u.searchParams.has('query') && !u.searchParams.has('extensions')) return [];
+    const parse = (k) => { try { return JSON.parse(u.searchParams.get(k)); } catch { return undefined; } };
+    ops = [{
+      operationName: u.searchParams.get('operationName') || undefined,
+      query: u.searchParams.get('query') || undefined,
+      variables: parse('variables'),
+      extensions: parse('extensions')
+    }];
+  }
+  if (!ops.length) return [];
+  let pathname = '';
+  try { pathname = new URL(url).pathname; } catch {}
+  const graphql = ops.every(o => isGraphqlDocument(o.query)) || /graphql/i.test(pathname) || isGraphqlResponse(content);
+  return graphql ? ops : [];
+}
+
+/* Operation names that read like writes: create…, updateX, LikeArticle, trackView, … */
+const WRITE_NAME_RX = /^(?:create|update|delete|remove|add|set|insert|upsert|save|submit|send|mark|toggle|subscribe|unsubscribe|register|login|logout|sign|reset|redeem|purchase|checkout|like|unlike|follow|unfollow|vote|track|record|increment|decrement|consume|mutate)|mutation/i;
+
+/*
+ * Whether an observed operation may be re-sent without a session: known queries, and
+ * persisted operations (APQ `extensions.persistedQuery`, no query text) sent as GET or as a
+ * POST whose operationName does not read like a write. Mutations never are.
+ */
+function isReplayable(method, op) {
+  const q = describeQuery(op.query, op.operationName);
+  if (q.type) return q.type === 'query';
+  if (op.query || !op.extensions || !op.extensions.persistedQuery) return false;
+  if (method === 'GET') return true;
+  return !!op.operationName && !WRITE_NAME_RX.test(op.operationName);
+}
+
+module.exports = { isGraphqlDocument, isGraphqlResponse, describeQuery, parseOperations, isReplayable };
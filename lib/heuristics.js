@@ -0,0 +1,196 @@
+/**
+ * Detection heuristics: the built-in defaults, the --config schema that overrides them and
+ * their compiled form (ctx.heuristics). The language tables are not configurable.
+ */
+
+const { regexToString, toRegex } = require('./config');
+
+const SELECTORS = [
+  'main', 'article', '.post-content', '.entry-content', '.page-content',
+  'div.article-body', 'div.content-body', 'div.meteredContent',
+  'div.body-copy', 'div.article-main-txt', '#articleBody', 'p#articleBodyForbidden'
+];
+const OVERLAYS = [
+  '.fr-gate-overlay', '.fr-gate-container',
+  '#CartDrawer-Overlay', 'cart-drawer',
+  '#CybotCookiebotDialog', '.issue-article-cover',
+  'div.paywall', 'div#paywall', 'div.premium', 'div[class*="-premium"]',
+  'div[id^="issuem-leaky-paywall-"]', 'div.wkwp-paywall',
+  'div.didomi-popup-open', 'div.OUTBRAIN', 'div[id^="taboola-"]'
+];
+/* OVERLAYS entries that are not a paywall (consent walls, recirculation, cart drawers): hidden like the rest, never a gate signal */
+const NON_PAYWALL_OVERLAY_RX = /cookie|consent|cybot|didomi|onetrust|gdpr|\bcmp\b|outbrain|taboola|cart/i;
+
+const XHR_FRAGMENT_CANDIDATES = [
+  'var_ajax=1', 'view=fragment', 'view=ajax', 'render=fragment',
+  '/fragment', '/partial', 'component=ajax', 'wp-admin/admin-ajax.php',
+  '_format=amp', 'format=amp', 'outputType=amp',
+  '/wp-json/wp/v2/posts/', '/?rest_route=/wp/v2/posts/'
+];
+
+const ARTICLE_KEYS_RX = /\b(body_html|articleBody|renderedBody|content_html|contentHtml|content\.blocks|paragraphs|paywall|meter|entitlement|subscribe|content\.rendered|blocks|body|text)\b/i;
+const HTML_LIKE_RX = /<html|<article|<main|<p[\s>]/i;
+const JSON_LD_RX = /<script type="application\/ld\+json">([\s\S]+?)<\/script>/gi;
+const NEXT_DATA_RX = /<script id="__NEXT_DATA__"[^>]*>([\s\S]+?)<\/script>/gi;
+
+/* Paywall provider markers for detection */
+const PROVIDER_MARKERS = {
+  medium: 'head > link[href*=".medium.com/"]',
+  beehiiv: 'head > meta[property="og:image"][content*="beehiiv"]',
+  ghost: 'head > meta[name="generator"][content^="Ghost"]',
+  substack: 'head > link[href^="https://substackcdn.com/"]',
+  leaky_paywall: 'head > link[href*="/leaky-paywall"], script[src*="/leaky-paywall"], div[id^="issuem-leaky-paywall-"]',
+  wallkit: 'head > link[href$=".wallkit.net"]'
+};
+
+/* Blocked script regexes for paywall detection */
+const BLOCKED_REGEXES = {
+  piano: /piano\.io\/.*\.js/,
+  poool: /poool\.io\/.*\.js/,
+  outbrain: /outbrain\.com\/.*\.js/,
+  taboola: /taboola\.com\/.*\.js/
+};
+
+/* Paywall strings for false positive validation */
+const PAYWALL_STRINGS_RX = /abonn[ée]?|subscribe|login|sign in|réservée aux|paywall|premium content|metered/i;
+
+/* Subscription-prompt phrases per language (hasSubscriptionPrompt in analyzeHtmlContent) */
+const PAYWALL_PHRASES = {
+  en: /subscribe|subscription|sign in|log in|login|already a subscriber|continue reading|subscribers only/i,
+  fr: /abonn[ée]|abonnez-vous|réservée? aux abonnés|connectez-vous|se connecter|déjà abonné/i,
+  de: /abonnieren|abonnement|abonnent|jetzt weiterlesen|weiterlesen mit|anmelden|exklusiv für abonnenten|plus-artikel/i,
+  es: /suscr[ií]b|suscripci[óo]n|suscriptor|inicia(?:r)? sesi[óo]n|contenido exclusivo/i,
+  it: /abbonat|abbonamento|abbonarsi|accedi|sei già abbonato|contenuto riservato/i,
+  nl: /abonnee|abonneer|abonnement|inloggen|lees verder met|plusartikel/i,
+  pt: /assine|assinante|assinatura|faça login|iniciar sessão|conteúdo exclusivo/i
+};
+
+/* Frequent function words for content-based language detection */
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'that', 'with', 'for', 'was', 'this', 'are', 'have'],
+  fr: ['le', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'pas', 'qui', 'sur', 'avec'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'sich', 'auf', 'für', 'ein', 'auch'],
+  es: ['el', 'los', 'las', 'que', 'del', 'una', 'por', 'con', 'para', 'es', 'como', 'más'],
+  it: ['il', 'che', 'di', 'della', 'per', 'non', 'una', 'sono', 'gli', 'con', 'anche', 'nel'],
+  nl: ['het', 'een', 'van', 'en', 'niet', 'dat', 'zijn', 'voor', 'met', 'ook', 'maar', 'wordt'],
+  pt: ['não', 'que', 'uma', 'para', 'com', 'os', 'como', 'mais', 'foi', 'pelo', 'dos', 'ao']
+};
+
+/* Abbreviations breakText() must not treat as sentence ends */
+const ABBREVIATIONS = {
+  en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'no', 'vs', 'e.g', 'i.e', 'u.s'],
+  fr: ['m', 'mme', 'mlle', 'dr', 'p', 'cf', 'etc'],
+  de: ['z.b', 'd.h', 'u.a', 'bzw', 'nr', 'dr', 'prof', 'ca', 'vgl', 'usw'],
+  es: ['sr', 'sra', 'srta', 'dr', 'dra', 'ud', 'uds', 'etc', 'pág'],
+  it: ['sig', 'sigg', 'dott', 'prof', 'ecc', 'pag'],
+  nl: ['dhr', 'mevr', 'dr', 'prof', 'bijv', 'o.a', 'enz', 'nr'],
+  pt: ['sr', 'sra', 'dr', 'dra', 'prof', 'etc', 'pág']
+};
+
+/* UA / Referer combinations for the ua_referer probe */
+const USER_AGENTS = [
+  'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  'Mozilla/5.0 (compatible; Bingbot/2.0; +http://www.bing.com/bingbot.htm)',
+  'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+];
+const REFERERS = ['https://www.google.com/', 'https://www.facebook.com/', 'https://t.co/', 'https://twitter.com/'];
+
+/* articleLike thresholds in analyzeHtmlContent() */
+const ARTICLE_LIKE = {
+  minWords: 1000,
+  minDensity: 0.3,
+  teaserMultiple: 2,
+  minParagraphs: 12,
+  minHeadings: 3
+};
+
+/* Leak scoring against a subscriber baseline (--subscriber-state) */
+const LEAK = {
+  minPercent: 50, // share of the premium body an artifact must contain to count as exposed
+  shingleSize: 5 // words per shingle
+};
+
+/* Screenshot comparison in the visual_diff probe */
+const VISUAL = {
+  pixelThreshold: 0.1, // YIQ colour distance (0–1) above which a pixel counts as changed
+  blockSize: 8, // px; a block changes when 10% of its pixels do
+  minCoveredPct: 25 // share of the article region (or first viewport) that must change for overlay_coverage
+};
+
+/* --config shape; types are described in lib/config.js */
+const CONFIG_SCHEMA = {
+  selectors: 'string[]',
+  overlays: 'string[]',
+  xhrFragmentCandidates: 'string[]',
+  providerMarkers: 'string{}',
+  blockedScripts: 'regex{}',
+  paywallStrings: 'regex',
+  paywallPhrases: 'regex{}',
+  userAgents: 'string[]',
+  referers: 'string[]',
+  articleLike: {
+    minWords: 'number',
+    minDensity: 'number',
+    teaserMultiple: 'number',
+    minParagraphs: 'number',
+    minHeadings: 'number'
+  },
+  leak: {
+    minPercent: 'number:0..100',
+    shingleSize: 'integer:1..'
+  },
+  visual: {
+    pixelThreshold: 'number:0..1',
+    blockSize: 'integer:1..',
+    minCoveredPct: 'number:0..100'
+  }
+};
+
+const DEFAULT_CONFIG = {
+  selectors: SELECTORS,
+  overlays: OVERLAYS,
+  xhrFragmentCandidates: XHR_FRAGMENT_CANDIDATES,
+  providerMarkers: PROVIDER_MARKERS,
+  blockedScripts: Object.fromEntries(Object.entries(BLOCKED_REGEXES).map(([k, rx]) => [k, regexToString(rx)])),
+  paywallStrings: regexToString(PAYWALL_STRINGS_RX),
+  paywallPhrases: Object.fromEntries(Object.entries(PAYWALL_PHRASES).map(([k, rx]) => [k, regexToString(rx)])),
+  userAgents: USER_AGENTS,
+  referers: REFERERS,
+  articleLike: ARTICLE_LIKE,
+  leak: LEAK,
+  visual: VISUAL
+};
+
+/* Defaults with a config merged over them (mergeConfig) -> ctx.heuristics */
+function compileHeuristics(conf) {
+  return {
+    SELECTORS: conf.selectors,
+    OVERLAYS: conf.overlays,
+    PAYWALL_OVERLAYS: conf.overlays.filter(s => !NON_PAYWALL_OVERLAY_RX.test(s)),
+    XHR_FRAGMENT_CANDIDATES: conf.xhrFragmentCandidates,
+    PROVIDER_MARKERS: conf.providerMarkers,
+    BLOCKED_REGEXES: Object.fromEntries(Object.entries(conf.blockedScripts).map(([k, v]) => [k, toRegex(v)])),
+    PAYWALL_STRINGS_RX: toRegex(conf.paywallStrings, 'i'),
+    PAYWALL_PHRASES: Object.fromEntries(Object.entries(conf.paywallPhrases).map(([k, v]) => [k, toRegex(v, 'i')])),
+    USER_AGENTS: conf.userAgents,
+    REFERERS: conf.referers,
+    ARTICLE_LIKE: conf.articleLike,
+    LEAK: conf.leak,
+    VISUAL: conf.visual,
+    ARTICLE_KEYS_RX,
+    HTML_LIKE_RX,
+    JSON_LD_RX,
+    NEXT_DATA_RX
+  };
+}
+
+module.exports = {
+  ARTICLE_KEYS_RX,
+  HTML_LIKE_RX,
+  STOPWORDS,
+  ABBREVIATIONS,
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG,
+  compileHeuristics
+};
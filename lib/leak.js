@@ -0,0 +1,41 @@
+/**
+ * Text comparison for leak scoring: word shingles, containment of a subscriber baseline
+ * in a captured artifact, and the similarity of two page variants.
+ */
+
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/* Word n-gram shingles of a text, used for containment scoring */
+function shingles(text, size = 5) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const out = new Set();
+  for (let i = 0; i + size <= words.length; i++) out.add(words.slice(i, i + size).join(' '));
+  return out;
+}
+
+/* Percentage of the premium body's shingles found in `text` (0–100) */
+function leakPercent(premiumShingles, text, size = 5) {
+  if (!premiumShingles || !premiumShingles.size) return 0;
+  const found = shingles(htmlToText(text), size);
+  let hit = 0;
+  for (const sh of premiumShingles) if (found.has(sh)) hit++;
+  return Number((hit / premiumShingles.size * 100).toFixed(1));
+}
+
+/* Jaccard similarity of two texts' shingle sets (0–1) */
+function textSimilarity(a, b, size = 5) {
+  const sa = shingles(a, size), sb = shingles(b, size);
+  if (!sa.size && !sb.size) return 1;
+  let inter = 0;
+  for (const sh of sa) if (sb.has(sh)) inter++;
+  return Number((inter / (sa.size + sb.size - inter)).toFixed(3));
+}
+
+module.exports = { htmlToText, shingles, leakPercent, textSimilarity };
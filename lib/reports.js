@@ -0,0 +1,116 @@
+/**
+ * Machine-readable report formats (SARIF 2.1.0 for code scanning, JUnit XML for CI) and the
+ * finding identity / severity order they share with diff mode.
+ */
+
+function severityRank(sev) {
+  const i = ['Critical', 'High', 'Medium', 'Low', 'Info'].indexOf(sev);
+  return i === -1 ? 5 : i;
+}
+
+/* Identity of a finding across runs: id + evidence url/path/selector */
+function findingKey(f) {
+  const ev = f.evidence || {};
+  return [f.id, ev.url || '', ev.path || '', ev.selector || ''].join('|');
+}
+
+const SARIF_LEVELS = { Critical: 'error', High: 'error', Medium: 'warning', Low: 'note', Info: 'note' };
+const SARIF_SECURITY_SEVERITY = { Critical: '9.5', High: '8.0', Medium: '5.5', Low: '3.0', Info: '0.0' };
+
+function xmlEscape(s) {
+  return String(s ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/* Rule name = finding title without the trailing "(HIGH)" / "(1234 chars)" detail */
+function ruleTitle(f) { return String(f.title || f.id).replace(/\s*\([^)]*\)\s*$/, ''); }
+
+function toSarif(report, remediation = {}) {
+  const rules = [];
+  const ruleIndex = new Map();
+  for (const f of report.findings) {
+    if (ruleIndex.has(f.id)) continue;
+    ruleIndex.set(f.id, rules.length);
+    const r = remediation[f.id];
+    rules.push({
+      id: f.id,
+      name: f.id,
+      shortDescription: { text: ruleTitle(f) },
+      ...(r ? {
+        fullDescription: { text: r.rootCause },
+        help: {
+          text: r.fix,
+          markdown: [r.fix, ...r.references.map(ref => `- [${ref.title}](${ref.url})`)].join('\n')
+        },
+        helpUri: r.references[0]?.url
+      } : {}),
+      defaultConfiguration: { level: SARIF_LEVELS[f.severity] || 'note' },
+      properties: { 'security-severity': SARIF_SECURITY_SEVERITY[f.severity] || '0.0', tags: ['security', 'paywall'] }
+    });
+  }
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'smoke-paywall',
+          rules
+        }
+      },
+      invocations: [{ executionSuccessful: true, endTimeUtc: report.generatedAt }],
+      results: report.findings.map(f => ({
+        ruleId: f.id,
+        ruleIndex: ruleIndex.get(f.id),
+        level: SARIF_LEVELS[f.severity] || 'note',
+        message: { text: f.title },
+        locations: [{ physicalLocation: { artifactLocation: { uri: report.target } } }],
+        partialFingerprints: { findingKey: findingKey(f) },
+        properties: {
+          severity: f.severity,
+          target: report.target,
+          contentPath: f.evidence?.contentPath || null,
+          evidence: f.evidence || null
+        }
+      })),
+      properties: { target: report.target, scope: report.scope }
+    }]
+  };
+}
+
+/*
+ * One testcase per finding (failure at or above `failOn`, the --fail-on severity) plus one
+ * per probe run, so a clean scan still shows up as passing tests.
+ */
+function toJunit(report, probeRuns, failOn = 'High') {
+  const cases = [];
+  for (const f of report.findings) {
+    const failed = severityRank(f.severity) <= severityRank(failOn);
+    const body = xmlEscape(JSON.stringify({ severity: f.severity, target: report.target, evidence: f.evidence || null }, null, 2));
+    cases.push(`    <testcase classname="findings.${xmlEscape(f.id)}" name="${xmlEscape(f.id)}: ${xmlEscape(f.title)}">` +
+      (failed
+        ? `\n      <failure type="${xmlEscape(f.severity)}" message="${xmlEscape(f.title)}">${body}</failure>\n    </testcase>`
+        : `\n      <system-out>${body}</system-out>\n    </testcase>`));
+  }
+  for (const p of probeRuns) {
+    const name = `probe ${xmlEscape(p.id)}`;
+    const time = p.durationMs != null ? ` time="${(p.durationMs / 1000).toFixed(3)}"` : '';
+    if (p.status === 'error') cases.push(`    <testcase classname="probes" name="${name}"${time}>\n      <error message="${xmlEscape(p.error)}"/>\n    </testcase>`);
+    else if (p.status === 'skipped') cases.push(`    <testcase classname="probes" name="${name}">\n      <skipped message="${xmlEscape(p.note)}"/>\n    </testcase>`);
+    else cases.push(`    <testcase classname="probes" name="${name}"${time}/>`);
+  }
+  const failures = report.findings.filter(f => severityRank(f.severity) <= severityRank(failOn)).length;
+  const errors = probeRuns.filter(p => p.status === 'error').length;
+  const skipped = probeRuns.filter(p => p.status === 'skipped').length;
+  const attrs = `tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="smoke-paywall" ${attrs}>`,
+    `  <testsuite name="${xmlEscape(report.target)}" ${attrs} timestamp="${xmlEscape(report.generatedAt)}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { SARIF_LEVELS, severityRank, findingKey, xmlEscape, toSarif, toJunit };
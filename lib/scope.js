@@ -0,0 +1,33 @@
+/**
+ * Rules-of-engagement checks: whether a URL falls inside the loaded scope's engagement
+ * window, hosts and path prefixes. No I/O, so the scanner and the unit tests share it.
+ */
+
+function matchDomain(domains, hostname) {
+  if (typeof domains === 'string') domains = [domains];
+  return domains.find(domain => hostname === domain || hostname.endsWith('.' + domain)) || false;
+}
+function urlHost(url) {
+  if (/^http/.test(url)) {
+    try { return new URL(url).hostname; } catch (e) {}
+  }
+  return url;
+}
+function matchUrlDomain(domains, url) { return matchDomain(domains, urlHost(url)); }
+
+/* Returns null when the URL is inside the authorized surface, otherwise the reason it is not */
+function scopeCheck(scope, url, now = Date.now()) {
+  if (now < Date.parse(scope.validFrom)) return 'engagement window not started';
+  if (now > Date.parse(scope.validUntil)) return 'engagement window expired';
+  let u;
+  try { u = new URL(url); } catch { return 'unparseable URL'; }
+  /* data:, blob:, about: never leave the browser; WebSockets are checked like HTTP */
+  if (!/^(https?|wss?):$/.test(u.protocol)) return null;
+  const hostname = u.hostname.toLowerCase();
+  const entries = scope.allow.filter(a => matchDomain(a.host, hostname));
+  if (!entries.length) return `host ${hostname} not in scope`;
+  if (entries.some(a => !a.paths || a.paths.some(p => u.pathname.startsWith(p)))) return null;
+  return `path ${u.pathname} not in scope for ${hostname}`;
+}
+
+module.exports = { matchDomain, urlHost, matchUrlDomain, scopeCheck };
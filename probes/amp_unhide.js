@@ -0,0 +1,27 @@
+/**
+ * amp_unhide — fetch the rel="amphtml" page as Googlebot and check it for the full article.
+ */
+module.exports = {
+  id: 'amp_unhide',
+  description: 'Full article body served on the AMP variant',
+  order: 200,
+  requires: ['page'],
+  async run(ctx) {
+    const ampHtml = await ctx.page.evaluate(() => document.querySelector('link[rel="amphtml"]')?.href);
+    if (!ampHtml) return {};
+    const ampRes = await ctx.fetchText(ampHtml, { ua: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)' });
+    if (!ampRes.text) return {};
+    const { sig, exposed } = ctx.assess(ampRes.text);
+    if (!exposed) return {};
+    const contentPath = await ctx.saveContent('amp_unhide.html', ampRes.text);
+    console.log(`⚡ AMP content found: ${sig.wordCount} words`);
+    return {
+      findings: [{
+        id: 'amp_unhide',
+        title: 'Full AMP content extracted',
+        severity: 'High',
+        evidence: { url: ampHtml, contentPath }
+      }]
+    };
+  }
+};
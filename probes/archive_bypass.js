@@ -0,0 +1,27 @@
+/**
+ * archive_bypass — check whether an archive snapshot exposes the full article.
+ * archive.is must be listed in the scope file, otherwise every request is blocked.
+ */
+module.exports = {
+  id: 'archive_bypass',
+  description: 'Full article available from archive.is snapshots',
+  order: 240,
+  requires: [],
+  async run(ctx) {
+    console.log('Probing archive services...');
+    const archiveContent = await ctx.fetchArchiveContent(ctx.url);
+    if (!archiveContent) return {};
+    const { sig, exposed } = ctx.assess(archiveContent);
+    if (!exposed) return {};
+    const contentPath = await ctx.saveContent('archive_bypass.html', archiveContent);
+    console.log(`🏆 Archive bypass: ${sig.wordCount} words`);
+    return {
+      findings: [{
+        id: 'archive_bypass',
+        title: `Archive bypass success (${sig.validationScore})`,
+        severity: 'Critical',
+        evidence: { contentPath }
+      }]
+    };
+  }
+};
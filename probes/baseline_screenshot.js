@@ -0,0 +1,16 @@
+/**
+ * baseline_screenshot — full-page capture after the client-side tweaks.
+ */
+const path = require('path');
+
+module.exports = {
+  id: 'baseline_screenshot',
+  description: 'Capture screenshots/01_baseline.png',
+  order: 170,
+  requires: ['page'],
+  async run(ctx) {
+    await ctx.page.screenshot({ path: path.join(ctx.shotsDir, '01_baseline.png'), fullPage: true });
+    console.log(`Baseline screenshot saved`);
+    return {};
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * blocked_scripts — collect script URLs and strip known paywall/recirculation scripts.
+ */
+module.exports = {
+  id: 'blocked_scripts',
+  description: 'Collect script URLs (js_scan.json) and remove scripts matching BLOCKED_REGEXES',
+  order: 110,
+  requires: ['page', 'scriptUrls'],
+  async run(ctx) {
+    const { page, state } = ctx;
+    const html = await page.content();
+    const re = /<script[^>]+src=(?:'|")([^'"]+)(?:'|")[^>]*>/gi;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+      try { state.scriptUrls.push(new URL(m[1], ctx.url).toString()); } catch {}
+    }
+
+    const blockedScripts = state.scriptUrls.filter(url => Object.values(ctx.heuristics.BLOCKED_REGEXES).some(rx => rx.test(url)));
+    if (!blockedScripts.length) return {};
+
+    await page.evaluate((urls) => {
+      document.querySelectorAll('script[src]').forEach(script => {
+        if (urls.includes(script.src)) script.remove();
+      });
+    }, blockedScripts);
+    console.log(`Blocked ${blockedScripts.length} paywall scripts`);
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    await page.waitForTimeout(800);
+    return {
+      findings: [{
+        id: 'blocked_scripts',
+        title: `Blocked ${blockedScripts.length} paywall scripts`,
+        severity: 'Medium',
+        evidence: { scripts: blockedScripts.slice(0, 5) }
+      }]
+    };
+  }
+};
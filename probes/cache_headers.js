@@ -0,0 +1,136 @@
+/**
+ * cache_headers — CDN / HTTP cache headers of the article and of every endpoint that
+ * returned full content: publicly cacheable premium responses, Vary headers that omit a
+ * dimension the origin varies on, and crawler responses a shared cache could hand to
+ * anonymous visitors (cache_headers.json).
+ */
+
+const MAX_URLS = 10;
+const HEADERS = ['cache-control', 'cdn-cache-control', 'surrogate-control', 'surrogate-key', 'cache-tag', 'xkey', 'vary', 'age', 'expires', 'x-cache', 'cf-cache-status', 'x-served-by', 'x-cache-hits'];
+
+function directives(value) {
+  const out = {};
+  for (const part of (value || '').toLowerCase().split(',')) {
+    const [k, v] = part.trim().split('=');
+    if (k) out[k] = v === undefined ? true : v.replace(/"/g, '');
+  }
+  return out;
+}
+
+/* Whether a shared cache (CDN / proxy) may store the response, and what says so */
+function cacheability(h) {
+  const cc = directives(h['cache-control']);
+  const cdn = directives(h['cdn-cache-control'] || h['surrogate-control']);
+  const vary = (h.vary || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+  const reasons = [];
+  if (cdn['max-age'] > 0 || cdn['s-maxage'] > 0) reasons.push(`${h['cdn-cache-control'] ? 'CDN-Cache-Control' : 'Surrogate-Control'} max-age=${cdn['max-age'] || cdn['s-maxage']}`);
+  if (cc['s-maxage'] > 0) reasons.push(`s-maxage=${cc['s-maxage']}`);
+  if (cc.public) reasons.push('public');
+  if (cc['max-age'] > 0 && !cc.private) reasons.push(`max-age=${cc['max-age']}`);
+  const blocked = cc['no-store'] || cc.private || cdn['no-store'] || cdn.private || vary.includes('*');
+  const hit = /hit/i.test(`${h['x-cache'] || ''} ${h['cf-cache-status'] || ''}`) || Number(h.age) > 0;
+  return { shared: !blocked && reasons.length > 0, reasons, vary, cachedHit: hit };
+}
+
+module.exports = {
+  id: 'cache_headers',
+  description: 'Cache-Control / Vary / Surrogate headers of the article and exposed endpoints',
+  order: 440,
+  requires: ['cacheHeaders'],
+  async run(ctx) {
+    const { util, state, heuristics } = ctx;
+    const findings = [];
+    const crawlerUa = heuristics.USER_AGENTS.find(ua => /googlebot/i.test(ua)) || heuristics.USER_AGENTS[0];
+    const browserUa = heuristics.USER_AGENTS.find(ua => !/bot/i.test(ua)) || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+    let cookie = '';
+    try { cookie = (await ctx.context.cookies(ctx.url)).map(c => `${c.name}=${c.value}`).join('; '); } catch {}
+
+    const probe = async (url, variant, opts) => {
+      const r = await ctx.fetchText(url, { timeout: 15000, ...opts });
+      const h = r.headers || {};
+      const rec = {
+        url,
+        variant,
+        status: r.status ?? null,
+        error: r.error,
+        headers: Object.fromEntries(HEADERS.filter(k => h[k] != null).map(k => [k, h[k]])),
+        setCookie: h['set-cookie'] ? h['set-cookie'].split(/,(?=\s*[^;,=\s]+=)/).map(c => c.split('=')[0].trim()) : [],
+        ...cacheability(h)
+      };
+      const text = typeof r.text === 'string' ? r.text : '';
+      let exposed;
+      if (/json/.test(h['content-type'] || '')) {
+        let field = null;
+        try { field = util.jsonArticleText(JSON.parse(text)); } catch {}
+        const body = field ? field.text : '';
+        exposed = ctx.assess(body, { fallback: body.length > Math.max(1000, state.teaserTextLength) }).exposed;
+      } else {
+        exposed = ctx.assess(text).exposed;
+      }
+      rec.exposed = r.status === 200 && exposed;
+      state.cacheHeaders.push(rec);
+      return { rec, text };
+    };
+
+    /* Article: anonymous browser, crawler UA and the browsing session's cookies */
+    const anon = await probe(ctx.url, 'anonymous', { ua: browserUa, referer: ctx.url });
+    const crawler = await probe(ctx.url, 'crawler', { ua: crawlerUa });
+    const session = cookie ? await probe(ctx.url, 'session_cookies', { ua: browserUa, referer: ctx.url, headers: { Cookie: cookie } }) : null;
+
+    const differs = (a, b) => a.rec.exposed !== b.rec.exposed || util.textSimilarity(util.htmlToText(a.text), util.htmlToText(b.text)) < 0.9;
+    const missing = [];
+    if (differs(anon, crawler) && !anon.rec.vary.includes('user-agent')) missing.push('User-Agent');
+    if (session && differs(anon, session) && !anon.rec.vary.includes('cookie')) missing.push('Cookie');
+    if (missing.length && (anon.rec.shared || crawler.rec.shared)) {
+      findings.push({
+        id: 'cache_vary_missing',
+        title: `Cacheable article varies on ${missing.join(' and ')} without a matching Vary header`,
+        severity: 'Medium',
+        evidence: { url: ctx.url, vary: anon.rec.headers.vary || null, missing, cacheControl: anon.rec.headers['cache-control'] || null }
+      });
+    }
+
+    if (crawler.rec.exposed && !anon.rec.exposed && crawler.rec.shared && !crawler.rec.vary.includes('user-agent')) {
+      findings.push({
+        id: 'cache_crawler_leak',
+        title: 'Full article served to crawlers is shared-cacheable without Vary: User-Agent',
+        severity: 'High',
+        evidence: { url: ctx.url, ua: util.short(crawlerUa), reasons: crawler.rec.reasons, vary: crawler.rec.headers.vary || null, cachedHit: crawler.rec.cachedHit }
+      });
+    }
+
+    /* Endpoints other probes found carrying the article */
+    const exposedUrls = new Set();
+    for (const f of ctx.findings) {
+      const u = f.evidence?.url;
+      if (u && /^https?:/.test(u) && ['Critical', 'High'].includes(f.severity)) exposedUrls.add(u);
+    }
+    for (const v of state.altViews || []) exposedUrls.add(v.url);
+    exposedUrls.delete(ctx.url);
+
+    /* Crawler responses are covered by cache_crawler_leak above */
+    const premium = [anon, session].filter(x => x && x.rec.exposed && x.rec.shared);
+    for (const u of [...exposedUrls].slice(0, MAX_URLS)) {
+      const r = await probe(u, 'exposed_endpoint', { ua: browserUa, referer: ctx.url });
+      if (r.rec.exposed && r.rec.shared) premium.push(r);
+    }
+    for (const p of premium) {
+      findings.push({
+        id: 'cache_public_premium',
+        title: `Full-content response is shared-cacheable (${p.rec.reasons.join(', ')})`,
+        severity: 'High',
+        evidence: {
+          url: p.rec.url,
+          variant: p.rec.variant,
+          headers: p.rec.headers,
+          setCookie: p.rec.setCookie,
+          cachedHit: p.rec.cachedHit
+        }
+      });
+    }
+
+    console.log(`🗄️  Cache headers: ${state.cacheHeaders.length} responses checked, ${findings.length} issue(s)`);
+    return { findings };
+  }
+};
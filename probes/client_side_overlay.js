@@ -0,0 +1,187 @@
+/**
+ * client_side_overlay — runs before any probe touches the page: matched OVERLAYS with their
+ * z-index and viewport coverage, scroll lock on html/body, CSS truncation of the article
+ * (max-height, overflow, blur, masks) and how many article words are in the DOM but not
+ * visible. Reported when the paywall turns out to be purely cosmetic.
+ */
+
+/* Runs in the page; nothing is modified */
+function analyse({ sels, overlays }) {
+  const vw = innerWidth, vh = innerHeight;
+  const words = (s) => ((s || '').match(/[\p{L}\p{N}]+/gu) || []).length;
+  const describe = (el) => {
+    if (el === document.body || el === document.documentElement) return el.tagName.toLowerCase();
+    const id = el.id ? `#${el.id}` : '';
+    const cls = typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '';
+    return `${el.tagName.toLowerCase()}${id}${cls}`;
+  };
+  const viewportPct = (r) => {
+    const w = Math.max(0, Math.min(r.right, vw) - Math.max(r.left, 0));
+    const h = Math.max(0, Math.min(r.bottom, vh) - Math.max(r.top, 0));
+    return Number((w * h / (vw * vh) * 100).toFixed(1));
+  };
+  const isShown = (el, cs) => {
+    const r = el.getBoundingClientRect();
+    return cs.display !== 'none' && cs.visibility !== 'hidden' && Number(cs.opacity) > 0 && r.width > 0 && r.height > 0;
+  };
+  /* z-index of the element or of its nearest positioned ancestor that sets one */
+  const zIndex = (el) => {
+    for (let n = el; n && n !== document.documentElement; n = n.parentElement) {
+      const z = getComputedStyle(n).zIndex;
+      if (z !== 'auto') return Number(z);
+    }
+    return null;
+  };
+
+  /* Overlays: OVERLAYS matches, plus fixed / sticky layers over a third of the viewport */
+  const matched = [];
+  const overlayEls = new Set();
+  for (const s of overlays) {
+    let els = [];
+    try { els = [...document.querySelectorAll(s)]; } catch { continue; }
+    for (const el of els.slice(0, 5)) {
+      const cs = getComputedStyle(el);
+      const visible = isShown(el, cs);
+      if (visible) overlayEls.add(el);
+      matched.push({ selector: s, node: describe(el), visible, position: cs.position, zIndex: zIndex(el), viewportPct: visible ? viewportPct(el.getBoundingClientRect()) : 0 });
+    }
+  }
+  const unlisted = [];
+  for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+    if (unlisted.length >= 5) break;
+    const cs = getComputedStyle(el);
+    if (!['fixed', 'sticky'].includes(cs.position) || overlayEls.has(el) || !isShown(el, cs)) continue;
+    const pct = viewportPct(el.getBoundingClientRect());
+    if (pct < 33) continue;
+    overlayEls.add(el);
+    unlisted.push({ node: describe(el), position: cs.position, zIndex: zIndex(el), viewportPct: pct, text: (el.innerText || '').trim().slice(0, 120) });
+  }
+
+  /* Scroll lock on the root elements */
+  const lock = (el) => {
+    const cs = getComputedStyle(el);
+    return { overflow: cs.overflow, overflowY: cs.overflowY, position: cs.position, height: cs.height, locked: /hidden|clip/.test(cs.overflowY) || cs.position === 'fixed' };
+  };
+  const scrollLock = { html: lock(document.documentElement), body: document.body ? lock(document.body) : null };
+  scrollLock.locked = scrollLock.html.locked || !!(scrollLock.body && scrollLock.body.locked);
+
+  /* Article: the SELECTORS match with the most DOM text (innerText would already skip hidden parts) */
+  let article = null;
+  for (const s of sels) {
+    try {
+      const el = document.querySelector(s);
+      if (el && (!article || (el.textContent || '').length > (article.el.textContent || '').length)) article = { sel: s, el };
+    } catch {}
+  }
+  if (!article) return { overlays: matched, unlisted, scrollLock, article: null };
+
+  /* CSS truncation on the article, its ancestors and its containers */
+  const truncation = [];
+  const nodes = [];
+  for (let n = article.el; n && n !== document.documentElement; n = n.parentElement) nodes.push(n);
+  nodes.push(...[...article.el.querySelectorAll('*')].slice(0, 2000));
+  for (const el of nodes) {
+    if (truncation.length >= 20) break;
+    const cs = getComputedStyle(el);
+    const clipped = el.scrollHeight - el.clientHeight;
+    const entry = {};
+    if (cs.maxHeight !== 'none' && /hidden|clip|auto|scroll/.test(cs.overflowY) && clipped > 20) entry.maxHeight = cs.maxHeight;
+    if (/hidden|clip/.test(cs.overflowY) && clipped > 20) entry.overflow = cs.overflowY;
+    if (/blur/.test(cs.filter)) entry.filter = cs.filter;
+    const mask = cs.maskImage || cs.webkitMaskImage;
+    if (mask && mask !== 'none') entry.mask = mask.slice(0, 120);
+    if (!Object.keys(entry).length) continue;
+    truncation.push({ node: describe(el), clippedPx: Math.max(0, clipped), ...entry });
+  }
+
+  /*
+   * Visible article words: text line boxes inside the viewport (or anywhere when the page can
+   * scroll), not clipped by an overflow ancestor, not blurred or transparent and, where the
+   * point can be probed, not under an overlay.
+   */
+  const clipBoxes = [];
+  let blurred = false;
+  for (let n = article.el; n && n !== document.body; n = n.parentElement) {
+    const cs = getComputedStyle(n);
+    if (/hidden|clip|auto|scroll/.test(cs.overflowY)) clipBoxes.push(n.getBoundingClientRect());
+    if (/blur/.test(cs.filter)) blurred = true;
+  }
+  const fullCover = [...overlayEls].some(el => getComputedStyle(el).position === 'fixed' && viewportPct(el.getBoundingClientRect()) >= 90);
+  let domWords = 0, visibleWords = 0;
+  const walker = document.createTreeWalker(article.el, NodeFilter.SHOW_TEXT);
+  for (let t = walker.nextNode(); t; t = walker.nextNode()) {
+    const n = words(t.textContent);
+    if (!n) continue;
+    domWords += n;
+    const parent = t.parentElement;
+    if (!parent || blurred) continue;
+    const pcs = getComputedStyle(parent);
+    if (pcs.visibility === 'hidden' || Number(pcs.opacity) === 0 || /blur/.test(pcs.filter)) continue;
+    const range = document.createRange();
+    range.selectNodeContents(t);
+    const rects = [...range.getClientRects()].filter(r => r.width > 0 && r.height > 0);
+    if (!rects.length) continue;
+    let shown = 0;
+    for (const r of rects) {
+      if (clipBoxes.some(b => r.bottom <= b.top || r.top >= b.bottom)) continue;
+      const inViewport = r.bottom > 0 && r.top < vh && r.right > 0 && r.left < vw;
+      if (!inViewport && (scrollLock.locked || fullCover)) continue;
+      if (inViewport) {
+        const top = document.elementFromPoint(Math.min(vw - 1, Math.max(0, r.left + r.width / 2)), Math.min(vh - 1, Math.max(0, r.top + r.height / 2)));
+        if (top && !article.el.contains(top) && !top.contains(article.el)) continue;
+      }
+      shown++;
+    }
+    visibleWords += Math.round(n * shown / rects.length);
+  }
+
+  return {
+    overlays: matched,
+    unlisted,
+    scrollLock,
+    article: { selector: article.sel, node: describe(article.el), truncation, blurred, domWords, visibleWords, hiddenWords: domWords - visibleWords }
+  };
+}
+
+module.exports = {
+  id: 'client_side_overlay',
+  description: 'Overlays, scroll lock, CSS truncation and hidden article words, measured before anything is modified',
+  order: 105,
+  requires: ['page'],
+  async run(ctx) {
+    const { page } = ctx;
+    /* Late-injected paywall layers (provider scripts) */
+    await page.waitForTimeout(1000);
+    const overlayAnalysis = await page.evaluate(analyse, { sels: ctx.heuristics.SELECTORS, overlays: ctx.heuristics.OVERLAYS });
+    if (!overlayAnalysis) return {};
+    const { overlays, unlisted, scrollLock, article } = overlayAnalysis;
+    const visible = overlays.filter(o => o.visible);
+    const artifacts = { overlayAnalysis };
+    if (!article) return { artifacts };
+
+    console.log(`🪟 Overlay analysis: ${visible.length + unlisted.length} overlay(s), scroll ${scrollLock.locked ? 'locked' : 'free'}, ${article.hiddenWords}/${article.domWords} article words hidden`);
+    const gated = visible.length || unlisted.length || scrollLock.locked || article.truncation.length || article.blurred;
+    if (!gated || article.hiddenWords < Math.max(100, article.domWords * 0.3)) return { artifacts };
+
+    return {
+      artifacts,
+      findings: [{
+        id: 'client_side_overlay',
+        title: `Paywall is client-side only: ${article.hiddenWords} article words in the DOM are hidden by CSS / overlays`,
+        severity: 'High',
+        evidence: {
+          url: ctx.url,
+          overlays: visible.map(o => ({ selector: o.selector, zIndex: o.zIndex, position: o.position, viewportPct: o.viewportPct })),
+          unlistedOverlays: unlisted,
+          scrollLock: { html: scrollLock.html.locked, body: !!(scrollLock.body && scrollLock.body.locked) },
+          truncation: article.truncation,
+          blurred: article.blurred,
+          articleSelector: article.selector,
+          domWords: article.domWords,
+          visibleWords: article.visibleWords,
+          hiddenWords: article.hiddenWords
+        }
+      }]
+    };
+  }
+};
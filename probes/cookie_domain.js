@@ -0,0 +1,33 @@
+/**
+ * cookie_domain — find the broadest domain the page can set cookies on.
+ */
+module.exports = {
+  id: 'cookie_domain',
+  description: 'Detect the effective cookie domain',
+  order: 120,
+  requires: ['page'],
+  async run(ctx) {
+    const cookieDomain = await ctx.page.evaluate((hostname) => {
+      let domain = hostname;
+      let n = 0;
+      let parts = hostname.split('.');
+      let str = '_gd' + Date.now();
+      while (n < (parts.length - 1) && document.cookie.indexOf(str + '=' + str) === -1) {
+        domain = parts.slice(-1 - (++n)).join('.');
+        document.cookie = str + "=" + str + ";domain=" + domain + ";";
+      }
+      document.cookie = str + "=;expires=Thu, 01 Jan 1970 00:00:01 GMT;domain=" + domain + ";";
+      return domain;
+    }, new URL(ctx.url).hostname);
+    if (!cookieDomain) return {};
+    return {
+      artifacts: { cookieDomain },
+      findings: [{
+        id: 'cookie_domain',
+        title: 'Detected effective cookie domain',
+        severity: 'Info',
+        evidence: { domain: cookieDomain }
+      }]
+    };
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * cookie_reset — clear cookies, web storage and IndexedDB and reload a few times to reset
+ * client-side meters; reported only when the reset reveals more of the article.
+ */
+module.exports = {
+  id: 'cookie_reset',
+  description: 'Clear cookies/localStorage/sessionStorage/IndexedDB and reload',
+  order: 150,
+  requires: ['page'],
+  async run(ctx) {
+    const { page, util } = ctx;
+    const before = await util.pageMetrics(page);
+    const cycles = 3;
+    for (let i = 0; i < cycles; i++) {
+      try { await ctx.context.clearCookies(); } catch {}
+      await page.evaluate(async () => {
+        try { localStorage.clear(); } catch {}
+        try { sessionStorage.clear(); } catch {}
+        try {
+          for (const db of await indexedDB.databases()) if (db.name) indexedDB.deleteDatabase(db.name);
+        } catch {}
+      });
+      await page.reload({ waitUntil: 'domcontentloaded' });
+      await page.waitForTimeout(500);
+    }
+    const after = await util.pageMetrics(page);
+    console.log(`Completed ${cycles} cookie reset cycles (${before.text.length} → ${after.text.length} chars)`);
+
+    /* Paywall overlays only: a consent banner gone after the reset does not reveal the article */
+    const revealed = after.text.length > before.text.length * 1.5 || (before.paywallOverlays.length > 0 && !after.paywallOverlays.length);
+    if (!revealed) return {};
+    return {
+      findings: [{
+        id: 'cookie_reset',
+        title: 'Clearing cookies and storage reset the paywall',
+        severity: 'Medium',
+        evidence: {
+          cycles,
+          textBefore: before.text.length,
+          textAfter: after.text.length,
+          overlaysBefore: before.paywallOverlays,
+          overlaysAfter: after.paywallOverlays
+        }
+      }]
+    };
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * dom_article — pick the largest SELECTORS match and check whether the full body is in the DOM.
+ * Size is measured on textContent, so a body hidden with CSS (display:none) still counts.
+ */
+module.exports = {
+  id: 'dom_article',
+  description: 'Full article present in the DOM behind the paywall',
+  order: 300,
+  requires: ['page'],
+  async run(ctx) {
+    const articleDom = await ctx.page.evaluate((sels) => {
+      let best = { sel: null, len: 0, content: null };
+      for (const s of sels) {
+        try {
+          const el = document.querySelector(s);
+          if (!el) continue;
+          const t = (el.textContent || '').trim();
+          if (t.length > best.len) best = { sel: s, len: t.length, content: el.innerHTML };
+        } catch {}
+      }
+      return best;
+    }, ctx.heuristics.SELECTORS);
+
+    const artifacts = { articleDom: { sel: articleDom.sel, len: articleDom.len } };
+    if (articleDom.len <= 500) return { artifacts }; // Higher threshold
+
+    const contentHtml = articleDom.content || '';
+    const { sig, exposed } = ctx.assess(contentHtml);
+    if (!exposed) return { artifacts };
+
+    const contentPath = await ctx.saveContent('dom_article.html', contentHtml);
+    console.log(`🏠 DOM extraction: ${sig.wordCount} words (${sig.validationScore})`);
+    return {
+      artifacts,
+      findings: [{
+        id: 'dom_article',
+        title: `DOM article extraction success (${sig.validationScore})`,
+        severity: 'High',
+        evidence: { selector: articleDom.sel, length: articleDom.len, contentPath }
+      }]
+    };
+  }
+};
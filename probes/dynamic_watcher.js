@@ -0,0 +1,36 @@
+/**
+ * dynamic_watcher — remove overlays and unhide article nodes as they are injected.
+ */
+module.exports = {
+  id: 'dynamic_watcher',
+  description: 'MutationObserver that strips OVERLAYS and unhides SELECTORS nodes',
+  order: 130,
+  requires: ['page'],
+  async run(ctx) {
+    await ctx.page.evaluate((sels, overlays) => {
+      new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+          for (const node of mutation.addedNodes) {
+            if (node.nodeType === 1) {
+              if (overlays.some(sel => node.matches(sel))) {
+                node.remove();
+              }
+              if (sels.some(sel => node.matches(sel))) {
+                node.style.display = '';
+                node.classList.remove('meteredContent', 'composer-content');
+              }
+            }
+          }
+        }
+      }).observe(document.body, { childList: true, subtree: true });
+    }, ctx.heuristics.SELECTORS, ctx.heuristics.OVERLAYS);
+    console.log(`👁️  Dynamic content watcher active`);
+    return {
+      findings: [{
+        id: 'dynamic_watcher',
+        title: 'Activated dynamic content monitoring',
+        severity: 'Medium'
+      }]
+    };
+  }
+};
@@ -0,0 +1,211 @@
+/**
+ * entitlement_replay — re-issue captured article / GraphQL API calls server-side without a
+ * valid entitlement (cookies stripped, tampered entitlement flags, another article id) and
+ * with the subscriber session, to see whether the API itself enforces access
+ * (entitlement_replay.json).
+ */
+const fs = require('fs');
+const { describeQuery, parseOperations } = require('../lib/graphql');
+
+/* Added to the "tampered" variant */
+const TAMPER_HEADERS = {
+  'X-Subscriber': 'true',
+  'X-Entitled': 'true',
+  'X-Access-Level': 'premium',
+  'X-Paywall-Bypass': '1'
+};
+const TAMPER_PARAMS = { subscriber: 'true', entitled: 'true', premium: 'true', paywall: 'false' };
+/* Body flags: gate-like keys are switched off, entitlement-like keys on */
+const GATE_KEY_RX = /paywall|metered|locked|restricted|gated/i;
+const GRANT_KEY_RX = /entitle|subscri|premium|access|authori[sz]ed|loggedin/i;
+
+const MAX_ENDPOINTS = 20;
+/* Sent by the browser or recomputed by fetch; never replayed */
+const SKIP_HEADERS = new Set(['host', 'content-length', 'connection', 'accept-encoding', 'user-agent', 'referer', 'cookie', 'authorization']);
+
+function tamperJson(v) {
+  if (Array.isArray(v)) return v.map(tamperJson);
+  if (!v || typeof v !== 'object') return v;
+  const out = {};
+  for (const [k, val] of Object.entries(v)) {
+    if (typeof val === 'boolean' && GATE_KEY_RX.test(k)) out[k] = false;
+    else if (typeof val === 'boolean' && GRANT_KEY_RX.test(k)) out[k] = true;
+    else out[k] = tamperJson(val);
+  }
+  return out;
+}
+
+/* Same request for a neighbouring article: numeric *id param, last numeric path segment or GraphQL variable */
+function otherArticle(url, body) {
+  const bump = (v) => String(Math.max(1, Number(v) - 1));
+  const u = new URL(url);
+  for (const [k, v] of u.searchParams) {
+    if (/id$/i.test(k) && /^\d+$/.test(v)) {
+      u.searchParams.set(k, bump(v));
+      return { url: u.toString(), body, from: `${k}=${v}` };
+    }
+  }
+  const segs = u.pathname.split('/');
+  for (let i = segs.length - 1; i >= 0; i--) {
+    if (/^\d{2,}$/.test(segs[i])) {
+      const from = segs[i];
+      segs[i] = bump(from);
+      u.pathname = segs.join('/');
+      return { url: u.toString(), body, from: `path ${from}` };
+    }
+  }
+  try {
+    const json = JSON.parse(body || '');
+    const vars = json && json.variables;
+    for (const k of Object.keys(vars || {})) {
+      if (/id$/i.test(k) && /^\d+$/.test(String(vars[k]))) {
+        const from = vars[k];
+        vars[k] = typeof from === 'number' ? Number(bump(from)) : bump(from);
+        return { url, body: JSON.stringify(json), from: `variables.${k}=${from}` };
+      }
+    }
+  } catch {}
+  return null;
+}
+
+/* Cookie header for `url` from a Playwright storageState file */
+function storageCookies(file, url) {
+  try {
+    const { cookies = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const u = new URL(url);
+    return cookies
+      .filter(c => {
+        const d = (c.domain || '').replace(/^\./, '');
+        return (u.hostname === d || u.hostname.endsWith('.' + d)) && u.pathname.startsWith(c.path || '/');
+      })
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+  } catch {
+    return '';
+  }
+}
+
+module.exports = {
+  id: 'entitlement_replay',
+  description: 'Replay captured article/GraphQL API calls without entitlement (BOLA / client-trusted access)',
+  order: 420,
+  requires: ['network', 'entitlementReplay'],
+  async run(ctx) {
+    const { util, state, heuristics } = ctx;
+    const findings = [];
+
+    /*
+     * Article-bearing JSON calls and GraphQL operations, one per method + URL + body. A POST can
+     * change server state (meter increments, preferences, checkout), so it is only replayed when
+     * every GraphQL operation in it is a known query, or with --allow-post-replay.
+     */
+    const seen = new Set();
+    const targets = [];
+    for (const r of ctx.network.responses) {
+      if (!/json|graphql/.test(r.ct) || !r.content || !['GET', 'POST'].includes(r.method)) continue;
+      const ops = parseOperations(r.method, r.url, r.postData, r.content);
+      const isGraphql = ops.length > 0;
+      const queriesOnly = isGraphql && ops.every(op => describeQuery(op.query, op.operationName).type === 'query');
+      if (r.method === 'POST' && !queriesOnly && !ctx.cfg.allowPostReplay) continue;
+      let obj = null;
+      try { obj = JSON.parse(r.content); } catch {}
+      if (!isGraphql && !(obj && util.findKeyJson(obj, heuristics.ARTICLE_KEYS_RX))) continue;
+      const key = `${r.method} ${r.url} ${r.postData || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      targets.push(r);
+      if (targets.length >= MAX_ENDPOINTS) break;
+    }
+
+    const replay = async (r, variant, { url = r.url, body = r.postData, headers = {}, cookie = '' } = {}) => {
+      const base = {};
+      for (const [k, v] of Object.entries(r.requestHeaders || {})) {
+        if (!SKIP_HEADERS.has(k.toLowerCase()) && !k.startsWith(':')) base[k] = v;
+      }
+      if (cookie) base.Cookie = cookie;
+      const res = await ctx.fetchText(url, {
+        method: r.method,
+        body: r.method === 'POST' ? body || undefined : undefined,
+        ua: r.requestHeaders?.['user-agent'],
+        referer: r.requestHeaders?.referer || ctx.url,
+        headers: { ...base, ...headers },
+        timeout: 15000
+      });
+      const out = { variant, url, status: res.status ?? null, error: res.error };
+      if (typeof res.text !== 'string') return { out };
+      let field = null;
+      try { field = util.jsonArticleText(JSON.parse(res.text)); } catch {}
+      const text = field ? field.text : '';
+      /* A neighbouring article shares nothing with this one's subscriber baseline */
+      const { exposed, leakPct } = ctx.assess(text, {
+        fallback: text.length > Math.max(1000, state.teaserTextLength),
+        baseline: variant !== 'other_article'
+      });
+      Object.assign(out, { bodyField: field ? field.path : null, chars: text.length, exposed: res.status === 200 && exposed, leakPct });
+      return { out, text, raw: res.text };
+    };
+
+    for (const r of targets) {
+      const variants = [];
+      const anon = await replay(r, 'no_cookies');
+      variants.push(anon);
+
+      const tamperUrl = new URL(r.url);
+      for (const [k, v] of Object.entries(TAMPER_PARAMS)) tamperUrl.searchParams.set(k, v);
+      let tamperBody = r.postData;
+      try { tamperBody = JSON.stringify(tamperJson(JSON.parse(r.postData || ''))); } catch {}
+      /* Anonymous: a tampered body must never run with the user's session */
+      variants.push(await replay(r, 'tampered', {
+        url: tamperUrl.toString(),
+        body: tamperBody,
+        headers: TAMPER_HEADERS
+      }));
+
+      const other = otherArticle(r.url, r.postData);
+      if (other) {
+        const v = await replay(r, 'other_article', { url: other.url, body: other.body, cookie: r.requestHeaders?.cookie || '' });
+        v.out.from = other.from;
+        variants.push(v);
+      }
+
+      let subscriber = null;
+      if (ctx.cfg.subscriberState) {
+        subscriber = await replay(r, 'subscriber', { cookie: storageCookies(ctx.cfg.subscriberState, r.url) });
+        variants.push(subscriber);
+      }
+
+      /* Enforced when the subscriber gets the body and the unauthenticated replay does not */
+      const rec = {
+        url: r.url,
+        method: r.method,
+        phase: r.phase,
+        graphql: parseOperations(r.method, r.url, r.postData, r.content).length > 0,
+        enforced: subscriber ? subscriber.out.chars > anon.out.chars * 2 && !anon.out.exposed : null,
+        variants: variants.map(v => v.out)
+      };
+      state.entitlementReplay.push(rec);
+
+      const leaked = variants.filter(v => v.out.variant !== 'subscriber' && v.out.exposed);
+      if (!leaked.length) continue;
+      const best = leaked.sort((a, b) => b.text.length - a.text.length)[0];
+      const contentPath = await ctx.saveContent(`entitlement_${util.sha256(r.url + best.out.variant).slice(0, 16)}.json`, best.raw, { body: best.text });
+      const anonymous = leaked.some(v => v.out.variant === 'no_cookies');
+      findings.push({
+        id: 'entitlement_replay',
+        title: `API returns premium content without entitlement (${leaked.map(v => v.out.variant).join(', ')})`,
+        severity: anonymous ? 'Critical' : 'High',
+        evidence: {
+          url: r.url,
+          method: r.method,
+          variants: leaked.map(v => v.out.variant),
+          bodyField: best.out.bodyField,
+          enforced: rec.enforced,
+          contentPath
+        }
+      });
+      console.log(`🔑 Entitlement replay: ${r.method} ${util.short(r.url, 100)} leaks via ${leaked.map(v => v.out.variant).join(', ')}`);
+    }
+    if (targets.length) console.log(`🔑 Replayed ${targets.length} API call(s) without entitlement`);
+    return { findings };
+  }
+};
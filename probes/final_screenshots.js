@@ -0,0 +1,30 @@
+/**
+ * final_screenshots — capture after scrolling and after hiding OVERLAYS.
+ */
+const path = require('path');
+
+module.exports = {
+  id: 'final_screenshots',
+  description: 'Capture screenshots/02_after_scroll.png and 03_final.png',
+  order: 400,
+  requires: ['page'],
+  async run(ctx) {
+    const { page, shotsDir } = ctx;
+    await page.evaluate(async () => { 
+      const s = (ms) => new Promise(r => setTimeout(r, ms));
+      for (let i = 0; i < 3; i++) { 
+        window.scrollBy(0, window.innerHeight); 
+        await s(200); 
+      } 
+      window.scrollTo(0, 0);
+    });
+    await page.waitForTimeout(300);
+    await page.screenshot({ path: path.join(shotsDir, '02_after_scroll.png'), fullPage: true });
+    
+    const finalCss = `${ctx.heuristics.OVERLAYS.join(',')} { display:none !important; visibility:hidden !important } html,body{overflow:auto!important;height:auto!important}`;
+    await page.addStyleTag({ content: finalCss });
+    await page.waitForTimeout(350);
+    await page.screenshot({ path: path.join(shotsDir, '03_final.png'), fullPage: true });
+    return {};
+  }
+};
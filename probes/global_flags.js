@@ -0,0 +1,24 @@
+/**
+ * global_flags — window globals that look like metering / entitlement state.
+ */
+module.exports = {
+  id: 'global_flags',
+  description: 'Detect paywall-related window globals',
+  order: 330,
+  requires: ['page'],
+  async run(ctx) {
+    const globals = await ctx.page.evaluate(() => {
+      const keys = Object.getOwnPropertyNames(window);
+      return keys.filter(k => /piano|poool|meter|paywall|entitlement|subscribe|metering/i.test(k)).slice(0, 20);
+    });
+    if (!globals.length) return {};
+    return {
+      findings: [{ 
+        id: 'global_flags', 
+        title: `Found ${globals.length} paywall globals`, 
+        severity: 'Info', 
+        evidence: { keys: globals } 
+      }]
+    };
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * graphql_scan — GraphQL operations observed during the run: operation names and variables,
+ * requested body / entitlement fields, introspection per endpoint and whether queries
+ * return the body to anonymous callers (graphql_scan.json).
+ */
+const { describeQuery, parseOperations, isReplayable } = require('../lib/graphql');
+
+const BODY_FIELD_RX = /^(body|bodyHtml|body_html|articleBody|renderedBody|content|contentHtml|content_html|html|text|fullText|paragraphs|blocks)$/i;
+const ENTITLEMENT_FIELD_RX = /entitle|paywall|meter|subscri|premium|access|locked|isFree|gated/i;
+
+const INTROSPECTION_QUERY = 'query SmokeIntrospection { __schema { queryType { name } types { name kind fields { name } } } }';
+
+function redactVariables(vars, noPreview) {
+  if (!vars || typeof vars !== 'object') return vars ?? null;
+  if (!noPreview) return vars;
+  return Object.fromEntries(Object.keys(vars).map(k => [k, '<redacted>']));
+}
+
+module.exports = {
+  id: 'graphql_scan',
+  description: 'GraphQL operations, introspection and anonymous access to body fields',
+  order: 430,
+  requires: ['network', 'graphqlScan'],
+  async run(ctx) {
+    const { util, state } = ctx;
+    const findings = [];
+    const scan = state.graphqlScan;
+    const seen = new Set();
+
+    for (const r of ctx.network.responses) {
+      if (!['GET', 'POST'].includes(r.method)) continue;
+      const ops = parseOperations(r.method, r.url, r.postData, r.content);
+      if (!ops.length) continue;
+      const endpoint = r.url.split('?')[0];
+      if (!scan.endpoints.some(e => e.url === endpoint)) scan.endpoints.push({ url: endpoint });
+
+      for (const op of ops) {
+        const q = describeQuery(op.query, op.operationName);
+        const operationName = op.operationName || q.name || null;
+        const key = `${endpoint} ${operationName} ${JSON.stringify(op.variables || {})} ${op.query || ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        let observed = null;
+        try {
+          const json = JSON.parse(r.content || '');
+          const field = util.jsonArticleText(Array.isArray(json) ? json[ops.indexOf(op)] : json);
+          observed = { status: r.status, bodyField: field ? field.path : null, chars: field ? field.text.length : 0 };
+        } catch {}
+
+        const rec = {
+          endpoint,
+          method: r.method,
+          phase: r.phase,
+          operationName,
+          type: q.type,
+          persisted: !!op.extensions?.persistedQuery,
+          variables: redactVariables(op.variables, ctx.cfg.noPreview),
+          fields: {
+            body: q.fields.filter(f => BODY_FIELD_RX.test(f)),
+            entitlement: q.fields.filter(f => ENTITLEMENT_FIELD_RX.test(f))
+          },
+          observed
+        };
+        scan.operations.push(rec);
+
+        /* Known queries and read-only persisted operations only: mutations can change server state */
+        if (!isReplayable(r.method, op)) continue;
+        const res = r.method === 'POST'
+          ? await ctx.fetchText(r.url, { method: 'POST', body: JSON.stringify(op), headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }, timeout: 15000 })
+          : await ctx.fetchText(r.url, { headers: { 'Accept': 'application/json' }, timeout: 15000 });
+        let field = null;
+        try { field = util.jsonArticleText(JSON.parse(res.text)); } catch {}
+        const text = field ? field.text : '';
+        const { exposed } = ctx.assess(text, { fallback: text.length > Math.max(1000, state.teaserTextLength) });
+        rec.anonymous = { status: res.status ?? null, error: res.error, bodyField: field ? field.path : null, chars: text.length, exposed: res.status === 200 && exposed };
+        if (!rec.anonymous.exposed) continue;
+
+        const contentPath = await ctx.saveContent(`graphql_${util.safeName(operationName || 'anonymous')}_${util.sha256(key).slice(0, 8)}.json`, res.text, { body: text });
+        findings.push({
+          id: 'graphql_anonymous_body',
+          title: `GraphQL ${operationName || 'query'} returns the article body to anonymous callers`,
+          severity: 'High',
+          evidence: { url: endpoint, operationName, bodyField: rec.anonymous.bodyField, fields: rec.fields, contentPath }
+        });
+        console.log(`🧬 GraphQL ${operationName || 'query'}: ${text.length} chars at ${rec.anonymous.bodyField} without a session`);
+      }
+    }
+
+    for (const ep of scan.endpoints) {
+      const res = await ctx.fetchText(ep.url, {
+        method: 'POST',
+        body: JSON.stringify({ query: INTROSPECTION_QUERY }),
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        timeout: 15000
+      });
+      let schema = null;
+      try { schema = JSON.parse(res.text).data.__schema; } catch {}
+      ep.introspection = { status: res.status ?? null, enabled: !!schema };
+      if (!schema) continue;
+      const pick = (rx) => (schema.types || [])
+        .filter(t => !t.name.startsWith('__'))
+        .flatMap(t => (t.fields || []).filter(f => rx.test(f.name)).map(f => `${t.name}.${f.name}`));
+      Object.assign(ep.introspection, {
+        types: (schema.types || []).length,
+        bodyFields: pick(BODY_FIELD_RX),
+        entitlementFields: pick(ENTITLEMENT_FIELD_RX)
+      });
+      findings.push({
+        id: 'graphql_introspection',
+        title: 'GraphQL introspection enabled',
+        severity: 'Medium',
+        evidence: { url: ep.url, types: ep.introspection.types, bodyFields: ep.introspection.bodyFields.slice(0, 20) }
+      });
+      console.log(`🧬 GraphQL introspection enabled on ${ep.url} (${ep.introspection.types} types)`);
+    }
+
+    if (scan.operations.length) console.log(`🧬 GraphQL: ${scan.operations.length} operation(s) on ${scan.endpoints.length} endpoint(s)`);
+    return { findings };
+  }
+};
@@ -0,0 +1,234 @@
+/**
+ * hydration_state — article text in framework hydration blobs (Nuxt, Apollo, Redux,
+ * Remix, SvelteKit, Astro, Arc XP Fusion), read from the live window and the raw HTML.
+ */
+
+/* Balanced JSON value assigned to `name` in an inline script (`window.X = {...};`) */
+function assignedJson(html, name) {
+  const out = [];
+  const rx = new RegExp(`(?:window\\.)?${name.replace(/\./g, '\\.')}\\s*=\\s*(?=[\\[{])`, 'g');
+  let m;
+  while ((m = rx.exec(html)) !== null) {
+    const start = m.index + m[0].length;
+    let depth = 0, inStr = false, esc = false, end = -1;
+    for (let i = start; i < html.length; i++) {
+      const c = html[i];
+      if (inStr) {
+        if (esc) esc = false;
+        else if (c === '\\') esc = true;
+        else if (c === '"') inStr = false;
+      } else if (c === '"') inStr = true;
+      else if (c === '{' || c === '[') depth++;
+      else if (c === '}' || c === ']') {
+        if (--depth === 0) { end = i + 1; break; }
+      }
+    }
+    if (end < 0) continue;
+    try { out.push(JSON.parse(html.slice(start, end))); } catch {}
+  }
+  return out;
+}
+
+/* Contents of <script ...attr...> JSON blocks */
+function jsonScripts(html, attrRx) {
+  const out = [];
+  const rx = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = rx.exec(html)) !== null) {
+    if (!attrRx.test(m[1])) continue;
+    try { out.push(JSON.parse(m[2])); } catch {}
+  }
+  return out;
+}
+
+function unescapeAttr(s) {
+  return s.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/* Nuxt 3 __NUXT_DATA__ is devalue-flattened: objects/arrays hold indexes into the root array */
+function unflattenDevalue(arr) {
+  if (!Array.isArray(arr)) return arr;
+  const seen = new Map();
+  const revive = (i, depth) => {
+    if (typeof i !== 'number' || i < 0 || depth > 40) return undefined;
+    if (seen.has(i)) return seen.get(i);
+    const v = arr[i];
+    let out = v;
+    if (Array.isArray(v)) {
+      /* ['Reactive', 3], ['Ref', 5], … wrap a single value */
+      out = typeof v[0] === 'string' ? revive(v[1], depth + 1) : v.map(j => revive(j, depth + 1));
+    } else if (v && typeof v === 'object') {
+      out = {};
+      seen.set(i, out);
+      for (const k of Object.keys(v)) out[k] = revive(v[k], depth + 1);
+    }
+    seen.set(i, out);
+    return out;
+  };
+  return revive(0, 0);
+}
+
+/* Astro island props are [type, value] tuples: 0 = value (objects nest tuples), 1 = array */
+function reviveAstro(v) {
+  if (Array.isArray(v) && v.length === 2 && typeof v[0] === 'number') {
+    if (v[0] === 1 && Array.isArray(v[1])) return v[1].map(reviveAstro);
+    return reviveAstro(v[1]);
+  }
+  if (v && typeof v === 'object' && !Array.isArray(v)) {
+    const out = {};
+    for (const k of Object.keys(v)) out[k] = reviveAstro(v[k]);
+    return out;
+  }
+  return v;
+}
+
+/*
+ * id          finding id
+ * globals     window paths read in the page
+ * html(html)  [{ key, state }] parsed from the raw HTML
+ * keys        body-field regex (default ARTICLE_KEYS_RX)
+ */
+const EXTRACTORS = [
+  {
+    id: 'nuxt_state',
+    framework: 'Nuxt',
+    globals: ['__NUXT__'],
+    html: (html) => [
+      ...jsonScripts(html, /id=["']__NUXT_DATA__["']/).map(state => ({ key: '__NUXT_DATA__', state: unflattenDevalue(state) })),
+      ...assignedJson(html, '__NUXT__').map(state => ({ key: '__NUXT__', state }))
+    ]
+  },
+  {
+    id: 'apollo_state',
+    framework: 'Apollo',
+    globals: ['__APOLLO_STATE__'],
+    html: (html) => assignedJson(html, '__APOLLO_STATE__').map(state => ({ key: '__APOLLO_STATE__', state }))
+  },
+  {
+    id: 'redux_state',
+    framework: 'Redux',
+    globals: ['__PRELOADED_STATE__', '__INITIAL_STATE__'],
+    html: (html) => ['__PRELOADED_STATE__', '__INITIAL_STATE__']
+      .flatMap(key => assignedJson(html, key).map(state => ({ key, state })))
+  },
+  {
+    id: 'remix_context',
+    framework: 'Remix',
+    globals: ['__remixContext'],
+    html: (html) => assignedJson(html, '__remixContext').map(state => ({ key: '__remixContext', state }))
+  },
+  {
+    id: 'sveltekit_data',
+    framework: 'SvelteKit',
+    globals: [],
+    /* Server-side fetches inlined for hydration: { status, body: "<response text>" } */
+    html: (html) => jsonScripts(html, /data-sveltekit-fetched/).map(f => {
+      let state = f;
+      try { state = { ...f, body: JSON.parse(f.body) }; } catch {}
+      return { key: 'data-sveltekit-fetched', state };
+    })
+  },
+  {
+    id: 'astro_props',
+    framework: 'Astro',
+    globals: [],
+    html: (html) => {
+      const out = [];
+      const rx = /<astro-island\b[^>]*\sprops="([^"]*)"/gi;
+      let m;
+      while ((m = rx.exec(html)) !== null) {
+        try { out.push({ key: 'astro-island[props]', state: reviveAstro(JSON.parse(unescapeAttr(m[1]))) }); } catch {}
+      }
+      return out;
+    }
+  },
+  {
+    id: 'fusion_content',
+    framework: 'Arc XP Fusion',
+    globals: ['Fusion.globalContent'],
+    keys: /^(content_elements|content|body|text)$/,
+    html: (html) => assignedJson(html, 'Fusion.globalContent').map(state => ({ key: 'Fusion.globalContent', state }))
+  }
+];
+
+module.exports = {
+  id: 'hydration_state',
+  description: 'Article body in Nuxt/Apollo/Redux/Remix/SvelteKit/Astro/Fusion hydration state',
+  order: 315,
+  requires: ['page', 'hydration'],
+  async run(ctx) {
+    const { util, state, heuristics } = ctx;
+    const findings = [];
+
+    /* Live window: the client-side state after hydration */
+    const live = await ctx.page.evaluate((paths) => {
+      const out = {};
+      const grab = (v) => { try { const s = JSON.stringify(v); return s && s.length < 20e6 ? s : null; } catch { return null; } };
+      for (const p of paths) {
+        let v = window;
+        for (const k of p.split('.')) v = v == null ? undefined : v[k];
+        if (v != null) { const s = grab(v); if (s) out[p] = s; }
+      }
+      const kit = Object.keys(window).filter(k => k.startsWith('__sveltekit_'));
+      for (const k of kit) { const s = grab(window[k]); if (s) out[k] = s; }
+      return out;
+    }, EXTRACTORS.flatMap(e => e.globals)) || {};
+
+    /*
+     * Raw HTML as served to the same browser (its UA, no crawler referer: a page cloaked for
+     * Googlebot is ua_referer's finding), plus the rendered DOM (islands and inline scripts
+     * can be added late)
+     */
+    let ua = null;
+    try { ua = await ctx.page.evaluate(() => navigator.userAgent); } catch {}
+    ua = ua || ctx.heuristics.USER_AGENTS.find(u => !/bot/i.test(u));
+    const raw = await ctx.fetchText(ctx.url, { ua, referer: null, headers: { 'Accept': 'text/html' }, timeout: 15000 });
+    const sources = [];
+    if (raw.text) sources.push(['html', raw.text]);
+    try { sources.push(['dom', await ctx.page.content()]); } catch {}
+
+    for (const ex of EXTRACTORS) {
+      const blobs = [];
+      for (const g of ex.globals) {
+        if (!live[g]) continue;
+        try { blobs.push({ source: 'window', key: g, state: JSON.parse(live[g]) }); } catch {}
+      }
+      if (ex.id === 'sveltekit_data') {
+        for (const k of Object.keys(live).filter(k => k.startsWith('__sveltekit_'))) {
+          try { blobs.push({ source: 'window', key: k, state: JSON.parse(live[k]) }); } catch {}
+        }
+      }
+      for (const [source, html] of sources) {
+        for (const b of ex.html(html)) blobs.push({ source, ...b });
+      }
+      if (!blobs.length) continue;
+
+      let best = null;
+      for (const b of blobs) {
+        const field = util.jsonArticleText(b.state, ex.keys || heuristics.ARTICLE_KEYS_RX);
+        if (field && (!best || field.text.length > best.text.length)) best = { ...b, ...field };
+      }
+      const rec = {
+        framework: ex.framework,
+        sources: [...new Set(blobs.map(b => `${b.source}:${b.key}`))],
+        stateKey: best ? `${best.key}.${best.path}` : null,
+        chars: best ? best.text.length : 0
+      };
+      state.hydration.push(rec);
+      if (!best) continue;
+
+      const { sig, exposed } = ctx.assess(best.text, { fallback: best.text.length > Math.max(1000, state.teaserTextLength) });
+      rec.exposed = exposed;
+      if (!exposed) continue;
+      const contentPath = await ctx.saveContent(`${ex.id}.json`, JSON.stringify(best.state, null, 2), { body: best.text });
+      findings.push({
+        id: ex.id,
+        title: `Full article in ${ex.framework} hydration state`,
+        severity: 'High',
+        evidence: { framework: ex.framework, source: best.source, stateKey: rec.stateKey, words: sig.wordCount, contentPath }
+      });
+      console.log(`💧 ${ex.framework} state: ${best.text.length} chars at ${rec.stateKey} (${best.source})`);
+    }
+    return { findings };
+  }
+};
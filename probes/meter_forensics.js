@@ -0,0 +1,166 @@
+/**
+ * meter_forensics — view the article several times in a fresh context, snapshot cookies,
+ * localStorage, sessionStorage, IndexedDB and Cache Storage after each view, find the keys
+ * that change as the meter counts, then clear one store at a time to see whether the gate
+ * goes away (client-side meter) or stays (server-enforced) (meter_forensics.json).
+ */
+
+const VIEWS = 5;
+const STORES = ['cookies', 'localStorage', 'sessionStorage', 'indexedDB', 'cacheStorage'];
+const METER_KEY_RX = /meter|count|view|visit|article|read|paywall|piano|poool|tp_|__tp|zephr|laterpay/i;
+
+/* Web storage, IndexedDB (first records of every store) and Cache Storage request URLs */
+async function snapshotPage(page) {
+  return page.evaluate(async () => {
+    const dump = (s) => { const o = {}; try { for (let i = 0; i < s.length; i++) o[s.key(i)] = s.getItem(s.key(i)); } catch {} return o; };
+    const out = { localStorage: dump(localStorage), sessionStorage: dump(sessionStorage), indexedDB: {}, cacheStorage: {} };
+    try {
+      for (const info of await indexedDB.databases()) {
+        if (!info.name) continue;
+        const db = await new Promise((res, rej) => { const r = indexedDB.open(info.name); r.onsuccess = () => res(r.result); r.onerror = rej; });
+        for (const store of db.objectStoreNames) {
+          const rows = await new Promise((res) => {
+            try {
+              const r = db.transaction(store, 'readonly').objectStore(store).getAll(null, 50);
+              r.onsuccess = () => res(r.result);
+              r.onerror = () => res([]);
+            } catch { res([]); }
+          });
+          out.indexedDB[`${info.name}/${store}`] = JSON.stringify(rows).slice(0, 2000);
+        }
+        db.close();
+      }
+    } catch {}
+    try {
+      for (const name of await caches.keys()) {
+        const keys = await (await caches.open(name)).keys();
+        out.cacheStorage[name] = keys.map(k => k.url).slice(0, 50).join('\n');
+      }
+    } catch {}
+    return out;
+  });
+}
+
+async function clearStore(context, page, store) {
+  if (store === 'cookies') return context.clearCookies();
+  await page.evaluate(async (s) => {
+    if (s === 'localStorage') localStorage.clear();
+    if (s === 'sessionStorage') sessionStorage.clear();
+    if (s === 'indexedDB') for (const db of await indexedDB.databases()) if (db.name) indexedDB.deleteDatabase(db.name);
+    if (s === 'cacheStorage') for (const name of await caches.keys()) await caches.delete(name);
+  }, store);
+}
+
+module.exports = {
+  id: 'meter_forensics',
+  description: 'Meter state across views in cookies/storage/IndexedDB/Cache Storage; client-side vs server-enforced',
+  order: 155,
+  requires: ['meterForensics'],
+  async run(ctx) {
+    const { util, state } = ctx;
+    const report = state.meterForensics;
+    const mask = (v) => (ctx.cfg.noPreview ? util.sha256(String(v)).slice(0, 12) : util.short(String(v), 200));
+
+    let context;
+    try {
+      context = await ctx.newContext({}, 'meter_forensics');
+      const page = await context.newPage();
+
+      const view = async () => {
+        await page.goto(ctx.url, { waitUntil: 'domcontentloaded', timeout: ctx.cfg.timeout });
+        await page.waitForTimeout(1000);
+        const m = await util.pageMetrics(page);
+        const snap = await snapshotPage(page) || {};
+        snap.cookies = {};
+        for (const c of await context.cookies(ctx.url)) snap.cookies[c.name] = c.value;
+        return { words: (m.text.match(/[\p{L}\p{N}]+/gu) || []).length, overlays: m.overlays, gate: m.paywallOverlays, snap };
+      };
+      /* Consent walls and recirculation widgets are in OVERLAYS too: only paywall overlays or a word drop count */
+      const isGated = (v, first) => v.gate.length > 0 || v.words < first.words * 0.6;
+
+      /* Views until the gate appears */
+      const views = [];
+      for (let i = 0; i < VIEWS; i++) {
+        views.push(await view());
+        if (i > 0 && isGated(views[i], views[0])) break;
+      }
+      const first = views[0];
+      const gatedAt = first.gate.length ? 1 : views.findIndex((v, i) => i > 0 && isGated(v, first)) + 1 || null;
+
+      /* Keys whose value changes between views, per store */
+      const changing = [];
+      for (const store of STORES) {
+        const keys = new Set(views.flatMap(v => Object.keys(v.snap[store] || {})));
+        for (const key of keys) {
+          const values = views.map(v => (v.snap[store] || {})[key]);
+          if (new Set(values.map(String)).size < 2) continue;
+          changing.push({ store, key, values: values.map(v => (v == null ? null : mask(v))), meterLike: METER_KEY_RX.test(key) });
+        }
+      }
+      changing.sort((a, b) => b.meterLike - a.meterLike);
+
+      Object.assign(report, {
+        views: views.map((v, i) => ({
+          view: i + 1,
+          words: v.words,
+          overlays: v.overlays,
+          gated: i === 0 ? v.gate.length > 0 : isGated(v, first),
+          keys: Object.fromEntries(STORES.map(s => [s, Object.keys(v.snap[s] || {}).length]))
+        })),
+        gatedAt,
+        changingKeys: changing.slice(0, 50)
+      });
+
+      if (!gatedAt) {
+        report.verdict = 'no_gate';
+        console.log(`📊 Meter: no gate within ${views.length} views`);
+        return {};
+      }
+      if (gatedAt === 1) {
+        report.verdict = 'hard_paywall';
+        console.log('📊 Meter: gated on the first view (no meter to reset)');
+        return {};
+      }
+
+      /* Reset experiments: one store at a time, then all client storage together */
+      report.resets = [];
+      let resetBy = null;
+      for (const store of [...STORES, 'all']) {
+        for (const s of store === 'all' ? STORES : [store]) {
+          try { await clearStore(context, page, s); } catch {}
+        }
+        const v = await view();
+        const reset = !isGated(v, first);
+        report.resets.push({ store, words: v.words, overlays: v.overlays, reset });
+        if (reset) { resetBy = store; break; }
+      }
+
+      if (resetBy) {
+        report.verdict = 'client_side';
+        const keys = changing.filter(c => resetBy === 'all' || c.store === resetBy).map(c => `${c.store}:${c.key}`);
+        console.log(`📊 Meter: client-side — gate after ${gatedAt - 1} free view(s), reset by clearing ${resetBy}`);
+        return {
+          findings: [{
+            id: 'meter_client_side',
+            title: `Client-side meter reset by clearing ${resetBy === 'all' ? 'all client storage' : resetBy}`,
+            severity: 'High',
+            evidence: { freeViews: gatedAt - 1, store: resetBy, keys: keys.slice(0, 10), forensics: 'meter_forensics.json' }
+          }]
+        };
+      }
+
+      report.verdict = 'server_enforced';
+      console.log(`📊 Meter: server-enforced — gate after ${gatedAt - 1} free view(s) survives clearing all client storage`);
+      return {
+        findings: [{
+          id: 'meter_server_enforced',
+          title: 'Meter is enforced server-side',
+          severity: 'Info',
+          evidence: { freeViews: gatedAt - 1, forensics: 'meter_forensics.json' }
+        }]
+      };
+    } finally {
+      try { if (context) await context.close(); } catch {}
+    }
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * paywall_markup — paywalled-content structured data compliance: isAccessibleForFree=false
+ * and hasPart.cssSelector on the Article, checked against a clean anonymous render of the
+ * page (paywall_markup.json).
+ */
+
+const ARTICLE_TYPE_RX = /article|posting|report|creativework|webpage/i;
+/* Google only accepts class selectors in hasPart.cssSelector */
+const CLASS_SELECTOR_RX = /^\s*\.[-_a-zA-Z][-_a-zA-Z0-9]*(\s*,\s*\.[-_a-zA-Z][-_a-zA-Z0-9]*)*\s*$/;
+
+const isFalse = (v) => v === false || String(v).toLowerCase() === 'false';
+
+/* Article-like JSON-LD items, @graph and arrays flattened */
+function articleItems(blocks) {
+  const out = [];
+  const visit = (o) => {
+    if (Array.isArray(o)) return o.forEach(visit);
+    if (!o || typeof o !== 'object') return;
+    if (Array.isArray(o['@graph'])) o['@graph'].forEach(visit);
+    const types = [].concat(o['@type'] || []).join(' ');
+    if (ARTICLE_TYPE_RX.test(types)) out.push(o);
+  };
+  for (const b of blocks) {
+    try { visit(JSON.parse(b)); } catch {}
+  }
+  return out;
+}
+
+module.exports = {
+  id: 'paywall_markup',
+  description: 'Paywalled-content markup (isAccessibleForFree / hasPart.cssSelector) vs the anonymous DOM',
+  order: 312,
+  requires: ['paywallMarkup'],
+  async run(ctx) {
+    const { util, state, heuristics } = ctx;
+    const report = state.paywallMarkup;
+    const findings = [];
+
+    /* Fresh anonymous render: earlier probes have already altered ctx.page */
+    let context, view;
+    try {
+      context = await ctx.newContext({}, 'paywall_markup');
+      const page = await context.newPage();
+      await page.goto(ctx.url, { waitUntil: 'domcontentloaded', timeout: ctx.cfg.timeout });
+      await page.waitForTimeout(1000);
+      const blocks = await page.evaluate(() => [...document.querySelectorAll('script[type="application/ld+json"]')].map(s => s.textContent || ''));
+      const items = articleItems(blocks);
+      const selectors = [...new Set(items.flatMap(it => [].concat(it.hasPart || []).map(p => p && p.cssSelector).filter(Boolean)))];
+      const dom = await page.evaluate(({ selectors, overlays, sels }) => {
+        const words = (s) => ((s || '').match(/[\p{L}\p{N}]+/gu) || []).length;
+        const sections = selectors.map(sel => {
+          let els = [];
+          try { els = [...document.querySelectorAll(sel)]; } catch { return { selector: sel, error: 'invalid selector' }; }
+          return {
+            selector: sel,
+            matches: els.length,
+            words: els.reduce((n, el) => n + words(el.textContent), 0),
+            visibleWords: els.reduce((n, el) => n + words(el.innerText), 0)
+          };
+        });
+        const overlay = overlays.some(sel => {
+          try {
+            const el = document.querySelector(sel);
+            if (!el) return false;
+            const r = el.getBoundingClientRect();
+            return getComputedStyle(el).display !== 'none' && r.width > 0 && r.height > 0;
+          } catch { return false; }
+        });
+        /*
+         * Prompt text: the article node and whatever follows it, minus navigation and footer;
+         * the "Subscribe" / "Sign in" links every site header carries come before the article.
+         */
+        let article = null;
+        for (const s of sels) {
+          try {
+            const el = document.querySelector(s);
+            if (el && (!article || (el.textContent || '').length > (article.textContent || '').length)) article = el;
+          } catch {}
+        }
+        const parts = [];
+        if (article) {
+          parts.push(article.innerText || '');
+          for (let n = article; n && n !== document.body; n = n.parentElement) {
+            for (let s = n.nextElementSibling; s; s = s.nextElementSibling) {
+              if (!s.matches('nav, footer, [role="navigation"], [role="contentinfo"]')) parts.push(s.innerText || '');
+            }
+          }
+        }
+        return { sections, overlay, text: parts.join('\n') };
+      }, { selectors, overlays: heuristics.PAYWALL_OVERLAYS, sels: heuristics.SELECTORS });
+      view = { items, selectors, ...dom };
+    } finally {
+      try { if (context) await context.close(); } catch {}
+    }
+
+    /*
+     * Paywall overlays only (a consent wall or recirculation widget does not make the article
+     * gated), or a subscription prompt in or after the article
+     */
+    const gated = view.overlay || heuristics.PAYWALL_STRINGS_RX.test(view.text) || util.analyzeHtmlContent(view.text, 0, ctx.lang).hasSubscriptionPrompt;
+    const declared = view.items.filter(it => isFalse(it.isAccessibleForFree));
+    const problems = [];
+
+    for (const it of declared) {
+      const parts = [].concat(it.hasPart || []).filter(p => p && typeof p === 'object');
+      if (!parts.length) problems.push(`${[].concat(it['@type']).join('/')} declares isAccessibleForFree=false without hasPart`);
+      for (const p of parts) {
+        if (!isFalse(p.isAccessibleForFree)) problems.push(`hasPart ${p.cssSelector || '(no selector)'} is not marked isAccessibleForFree=false`);
+        if (!p.cssSelector) problems.push('hasPart has no cssSelector');
+        else if (!CLASS_SELECTOR_RX.test(p.cssSelector)) problems.push(`cssSelector "${p.cssSelector}" is not a class selector`);
+      }
+    }
+    for (const s of view.sections) {
+      if (s.error) problems.push(`cssSelector "${s.selector}" is invalid`);
+      else if (!s.matches) problems.push(`cssSelector "${s.selector}" matches no element`);
+    }
+
+    /* Sections declared gated whose text anonymous users can read */
+    const visible = view.sections.filter(s => s.matches && s.visibleWords >= 150 && s.visibleWords >= s.words * 0.8);
+
+    Object.assign(report, {
+      gated,
+      articleItems: view.items.map(it => ({
+        type: it['@type'],
+        isAccessibleForFree: it.isAccessibleForFree ?? null,
+        hasPart: [].concat(it.hasPart || []).map(p => p && { type: p['@type'] || null, isAccessibleForFree: p.isAccessibleForFree ?? null, cssSelector: p.cssSelector || null })
+      })),
+      sections: view.sections,
+      problems
+    });
+
+    if (gated && !declared.length) {
+      findings.push({
+        id: 'paywall_markup_missing',
+        title: view.items.length ? 'Gated article without isAccessibleForFree=false' : 'Gated article without Article structured data',
+        severity: 'Medium',
+        evidence: { url: ctx.url, articleItems: view.items.length }
+      });
+    }
+    if (problems.length) {
+      findings.push({
+        id: 'paywall_markup_invalid',
+        title: `Paywalled-content markup has ${problems.length} problem(s)`,
+        severity: 'Medium',
+        evidence: { url: ctx.url, problems }
+      });
+    }
+    if (visible.length) {
+      findings.push({
+        id: 'paywall_markup_visible',
+        title: 'Section marked as paywalled is visible to anonymous users',
+        severity: 'Medium',
+        evidence: { url: ctx.url, sections: visible }
+      });
+    }
+    if (declared.length && !problems.length && !visible.length) {
+      findings.push({
+        id: 'paywall_markup_ok',
+        title: 'Paywalled-content markup is consistent with the page',
+        severity: 'Info',
+        evidence: { url: ctx.url, selectors: view.selectors, sections: view.sections }
+      });
+    }
+    report.verdict = findings.map(f => f.id).join(', ') || 'not_gated';
+    console.log(`🏷️  Paywall markup: ${report.verdict}`);
+    return { findings };
+  }
+};
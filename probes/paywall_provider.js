@@ -0,0 +1,101 @@
+/**
+ * paywall_provider — identify paywall / membership platforms from the fingerprint database
+ * (fingerprints/providers.json): script URLs, window globals, cookies, network endpoints and
+ * DOM markers, combined into a confidence score per provider with version hints.
+ */
+const { scoreProvider } = require('../lib/fingerprints');
+
+/* In the page: DOM markers, defined globals, script sources and the generator meta */
+function pageSignals(providers) {
+  const get = (p) => p.split('.').reduce((o, k) => (o == null ? undefined : o[k]), window);
+  const out = { dom: {}, globals: {}, versions: {}, scripts: [], generator: null };
+  for (const p of providers) {
+    out.dom[p.id] = p.dom.filter(sel => { try { return !!document.querySelector(sel); } catch { return false; } });
+    out.globals[p.id] = p.globals.filter(g => { try { return get(g) !== undefined; } catch { return false; } });
+    if (p.versionGlobal) {
+      try {
+        const v = get(p.versionGlobal);
+        if (v != null && typeof v !== 'object' && typeof v !== 'function') out.versions[p.id] = String(v).slice(0, 40);
+      } catch {}
+    }
+  }
+  out.scripts = [...document.querySelectorAll('script[src], link[rel="preload"][as="script"], link[rel="modulepreload"]')]
+    .map(el => el.src || el.href)
+    .filter(Boolean);
+  const gen = document.querySelector('meta[name="generator"]');
+  out.generator = gen ? gen.getAttribute('content') : null;
+  return out;
+}
+
+module.exports = {
+  id: 'paywall_provider',
+  description: 'Detect paywall / membership providers from the fingerprint database, with confidence and version',
+  order: 100,
+  requires: ['page'],
+  async run(ctx) {
+    const { state, heuristics } = ctx;
+    const db = heuristics.PROVIDERS;
+    const list = Object.values(db.providers);
+
+    const page = await ctx.page.evaluate(pageSignals, list.map(p => ({ id: p.id, dom: p.dom, globals: p.globals, versionGlobal: p.version.global }))) || { dom: {}, globals: {}, versions: {}, scripts: [], generator: null };
+    const requests = ctx.network ? ctx.network.requests : [];
+    const endpoints = [...new Set([...requests, ...(ctx.network ? ctx.network.hooks : [])].map(r => r.url).filter(Boolean))];
+    const scripts = [...new Set([...page.scripts, ...(state.scriptUrls || []), ...requests.filter(r => r.type === 'Script').map(r => r.url)])];
+    let cookies = [];
+    try { cookies = (await ctx.context.cookies()).map(c => c.name); } catch {}
+
+    const hits = (values, rxs) => [...new Set(values.filter(v => rxs.some(rx => rx.test(v))))];
+    const providers = [];
+    for (const p of list) {
+      const evidence = {
+        scripts: hits(scripts, p.scripts).slice(0, 5),
+        endpoints: hits(endpoints, p.endpoints).slice(0, 5),
+        globals: page.globals[p.id] || [],
+        cookies: hits(cookies, p.cookies),
+        dom: page.dom[p.id] || []
+      };
+      const { signals: types, confidence, level } = scoreProvider(evidence, db.weights);
+      if (!types.length || confidence < db.minConfidence) continue;
+
+      let version = page.versions[p.id] || null;
+      if (!version && p.version.script) {
+        for (const u of scripts) {
+          const m = p.version.script.exec(u);
+          if (m && m[1]) { version = m[1]; break; }
+        }
+      }
+      if (!version && p.version.meta && page.generator) {
+        const m = p.version.meta.exec(page.generator);
+        if (m && m[1]) version = m[1];
+      }
+      providers.push({
+        id: p.id,
+        name: p.name,
+        category: p.category,
+        confidence,
+        level,
+        version,
+        signals: types,
+        evidence: Object.fromEntries(types.map(k => [k, evidence[k]]))
+      });
+    }
+    providers.sort((a, b) => b.confidence - a.confidence);
+
+    const database = { version: db.version, sources: db.sources };
+    const detectedProvider = providers.length ? providers[0].id : null;
+    const artifacts = { detectedProvider, providers };
+    if (!providers.length) return { artifacts };
+
+    const label = (p) => `${p.name}${p.version ? ` ${p.version}` : ''} (${Math.round(p.confidence * 100)}%)`;
+    console.log(`Detected provider(s): ${providers.map(label).join(', ')}`);
+    return {
+      artifacts,
+      findings: [{
+        id: 'paywall_provider',
+        title: `Detected paywall provider${providers.length > 1 ? 's' : ''}: ${providers.map(label).join(', ')}`,
+        severity: 'Info',
+        evidence: { provider: detectedProvider, providers, database }
+      }]
+    };
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * print_css — @media print stylesheets often unhide gated content.
+ */
+module.exports = {
+  id: 'print_css',
+  description: 'Detect print stylesheets',
+  order: 320,
+  requires: ['page'],
+  async run(ctx) {
+    const hasPrint = await ctx.page.evaluate(() => {
+      try {
+        return !!Array.from(document.styleSheets || []).find(ss => {
+          try {
+            if (ss.media && ss.media.mediaText && /print/i.test(ss.media.mediaText)) return true;
+            return Array.from(ss.cssRules || []).some(r => r.media && /print/i.test(r.media?.mediaText || ''));
+          } catch { return false; }
+        });
+      } catch { return false; }
+    });
+    if (!hasPrint) return {};
+    return {
+      findings: [{ 
+        id: 'print_css', 
+        title: 'Print stylesheet detected', 
+        severity: 'Info' 
+      }]
+    };
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * public_json — strict JSON endpoint probing (content-type + parseable + article keys).
+ */
+const path = require('path');
+
+module.exports = {
+  id: 'public_json',
+  description: 'Public JSON endpoints (.json, REST, wp-json) returning the article body',
+  order: 260,
+  requires: ['jsonProbes'],
+  async run(ctx) {
+    const { url, util, state } = ctx;
+    const findings = [];
+    const jsonCandidates = [
+      url + '.json',
+      url.replace('/pages/', '/articles/') + '.json',
+      url.replace('/pages/', '/api/pages/'),
+      url + '?view=json',
+      url + '?format=json',
+      path.dirname(url) + '/wp-json/wp/v2/posts/' + path.basename(url),
+      url + '?rest_route=/wp/v2/posts/' + path.basename(url)
+    ];
+
+    const seen = new Set();
+    for (const p of jsonCandidates) {
+      if (!p || seen.has(p)) continue;
+      seen.add(p);
+      const r = await ctx.fetchText(p, { headers: { 'Accept': 'application/json' }, timeout: 10000 });
+      state.jsonProbes.push({ path: p, status: r.status, headers: r.headers, snippet: util.short(r.text, 240) });
+
+      if (r.error) continue;
+
+      const ct = (r.headers?.['content-type'] || '').toLowerCase();
+      if (!ct.includes('application/json') && !ct.includes('+json')) continue;
+      try {
+        const parsed = JSON.parse(r.text);
+        if (parsed && typeof parsed === 'object') {
+          const articleText = util.findKeyJson(parsed, ctx.heuristics.ARTICLE_KEYS_RX);
+          if (typeof articleText === 'string' && ctx.assess(articleText, { fallback: articleText.length > 1000 }).exposed) {
+            const contentPath = await ctx.saveContent(`json_probe_${util.sha256(p).slice(0, 8)}.json`, r.text, { body: articleText });
+            findings.push({
+              id: 'public_json',
+              title: `Public JSON endpoint success (${articleText.length} chars)`,
+              severity: 'Critical',
+              evidence: { path: p, contentType: r.headers?.['content-type'], contentPath }
+            });
+            console.log(`📄 JSON probe success: ${articleText.length} chars`);
+          }
+        }
+      } catch {}
+    }
+    return { findings };
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * reader_mode — apply reader-view CSS that hides gates and unclamps article containers.
+ */
+const READER_CSS = `
+  body { font-family: serif; font-size: 18px; max-width: 800px; margin: 0 auto; }
+  .paywall, [class*="subscribe"], [id*="gate"], [class*="premium"], .meteredContent { 
+    display: none !important; 
+  }
+  article, main, .content, .article-body { 
+    display: block !important; 
+    overflow: visible !important; 
+    max-height: none !important;
+  }
+  .composer-content { visibility: visible !important; }
+`;
+
+module.exports = {
+  id: 'reader_mode',
+  description: 'Apply reader mode CSS',
+  order: 160,
+  requires: ['page'],
+  async run(ctx) {
+    await ctx.page.addStyleTag({ content: READER_CSS });
+    await ctx.page.waitForTimeout(500);
+    console.log(`Reader mode CSS applied`);
+    return {
+      findings: [{
+        id: 'reader_mode',
+        title: 'Applied reader mode CSS',
+        severity: 'Medium'
+      }]
+    };
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * script_injection — flip client-side entitlement flags on known paywall globals.
+ */
+module.exports = {
+  id: 'script_injection',
+  description: 'Override Fusion / piano / poool entitlement globals',
+  order: 140,
+  requires: ['page'],
+  async run(ctx) {
+    await ctx.page.evaluate(() => {
+      if (window.Fusion) window.Fusion.globalContent.isPremium = false;
+      if (window.piano) window.piano.user.isSubscribed = true;
+      if (window.poool) window.poool.user.hasAccess = true;
+    });
+    await ctx.page.waitForTimeout(500);
+    console.log(`Injected global overrides`);
+    return {
+      findings: [{
+        id: 'script_injection',
+        title: 'Injected global overrides',
+        severity: 'Medium'
+      }]
+    };
+  }
+};
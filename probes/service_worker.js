@@ -0,0 +1,29 @@
+/**
+ * service_worker — registered service workers can cache or rewrite article responses. Scan
+ * contexts block service workers (scope guard), so the registration attempts the page made
+ * are reported alongside any registration that exists.
+ */
+module.exports = {
+  id: 'service_worker',
+  description: 'Detect Service Worker registrations',
+  order: 340,
+  requires: ['page'],
+  async run(ctx) {
+    const swInfo = await ctx.page.evaluate(async () => {
+      try {
+        if (!('serviceWorker' in navigator)) return { supported: false };
+        const regs = await navigator.serviceWorker.getRegistrations();
+        return { supported: true, registrations: regs.map(r => ({ scope: r.scope })), attempts: window.__smokeSwRegistrations || [] };
+      } catch (e) { return { supported: true, error: String(e) }; }
+    });
+    if (!swInfo?.supported) return {};
+    return {
+      findings: [{ 
+        id: 'service_worker', 
+        title: 'Service Worker present', 
+        severity: 'Info', 
+        evidence: swInfo 
+      }]
+    };
+  }
+};
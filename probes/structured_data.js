@@ -0,0 +1,79 @@
+/**
+ * structured_data — article text in JSON-LD and Next.js __NEXT_DATA__ blobs.
+ */
+module.exports = {
+  id: 'structured_data',
+  description: 'Article body in JSON-LD / __NEXT_DATA__ and JSON-LD Article markers',
+  order: 310,
+  requires: ['page'],
+  async run(ctx) {
+    const { util, heuristics } = ctx;
+    const findings = [];
+    const html = await ctx.page.content();
+
+    // JSON-LD extraction
+    let jsonLdContent = '';
+    const ldBlocks = [];
+    let ldMatch;
+    while ((ldMatch = heuristics.JSON_LD_RX.exec(html)) !== null) {
+      ldBlocks.push(ldMatch[1].trim());
+      jsonLdContent += util.extractJsonContent(ldMatch[1]) + '\n\n';
+    }
+    if (ctx.assess(jsonLdContent, { fallback: jsonLdContent.length > 1000 }).exposed) {
+      const contentPath = await ctx.saveContent('json_ld.json', `[${ldBlocks.join(',\n')}]`, { body: jsonLdContent });
+      findings.push({
+        id: 'jsonld_extracted',
+        title: 'Full content from JSON-LD',
+        severity: 'High',
+        evidence: { contentPath }
+      });
+      console.log(`💎 JSON-LD extraction: ${jsonLdContent.length} chars`);
+    }
+
+    // Next.js __NEXT_DATA__ extraction
+    let nextDataContent = '';
+    let nextData = '';
+    let nextMatch;
+    while ((nextMatch = heuristics.NEXT_DATA_RX.exec(html)) !== null) {
+      nextData = nextMatch[1];
+      nextDataContent += util.extractJsonContent(nextMatch[1], true) + '\n\n';
+    }
+    if (ctx.assess(nextDataContent, { fallback: nextDataContent.length > 1000 }).exposed) {
+      const contentPath = await ctx.saveContent('next_data.json', nextData, { body: nextDataContent });
+      findings.push({
+        id: 'next_data_extracted',
+        title: 'Full content from Next.js data',
+        severity: 'High',
+        evidence: { contentPath }
+      });
+      console.log(`⚛️ Next.js extraction: ${nextDataContent.length} chars`);
+    }
+
+    // JSON-LD count for reporting
+    const ldCount = await ctx.page.evaluate(() => {
+      let count = 0, body = 0;
+      for (const s of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+          const o = JSON.parse(s.textContent || '{}');
+          const arr = Array.isArray(o) ? o : [o];
+          for (const item of arr) {
+            if (item && typeof item === 'object' && String(item['@type'] || '').toLowerCase().includes('article')) {
+              count++;
+              if (item.articleBody) body++;
+            }
+          }
+        } catch {}
+      }
+      return { count, withBody: body };
+    });
+    if (ldCount.count) {
+      findings.push({
+        id: ldCount.withBody ? 'jsonld_article' : 'jsonld_present',
+        title: ldCount.withBody ? 'JSON-LD Article with body' : 'JSON-LD Article metadata only',
+        severity: ldCount.withBody ? 'High' : 'Info',
+        evidence: ldCount
+      });
+    }
+    return { findings };
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * ua_referer — render the article with crawler user agents and social referers.
+ *
+ * Every UA × Referer pair gets its own browser context; the rendered page is compared
+ * with a default-UA render and recorded in header_checks.json. A pair only counts as a
+ * bypass when it is exposed and the default render is not.
+ */
+module.exports = {
+  id: 'ua_referer',
+  description: 'Full article served to crawler UAs or social referers',
+  order: 230,
+  requires: ['headerChecks'],
+  async run(ctx) {
+    const { util, state } = ctx;
+
+    const render = async (ua, referer) => {
+      const check = { ua: ua || 'default', referer: referer || null, status: null };
+      let context;
+      try {
+        context = await ctx.newContext(ua ? { userAgent: ua } : {}, 'ua_referer');
+        const page = await context.newPage();
+        const resp = await page.goto(ctx.url, { waitUntil: 'domcontentloaded', timeout: ctx.cfg.timeout, referer: referer || undefined });
+        check.status = resp ? resp.status() : null;
+        await page.waitForTimeout(1000);
+        const m = await util.pageMetrics(page);
+        Object.assign(check, {
+          selector: m.sel,
+          textLength: m.text.length,
+          words: util.countWords(m.text, ctx.lang),
+          overlays: m.overlays,
+          overlay: m.overlays.length > 0
+        });
+        /* The served HTML decides exposure; the rendered text shows what a visitor sees */
+        let html = '';
+        try { html = resp ? await resp.text() : ''; } catch {}
+        return { check, text: m.text, html };
+      } catch (e) {
+        check.error = String(e).slice(0, 200);
+        return { check, text: '', html: '' };
+      } finally {
+        try { if (context) await context.close(); } catch {}
+      }
+    };
+
+    const base = await render(null, null);
+    base.check.similarity = 1;
+    base.check.exposed = base.check.status === 200 && !!base.html && ctx.assess(base.html).exposed;
+    state.headerChecks.push(base.check);
+
+    const hits = [];
+    const saved = new Map(); // identical responses share one content file
+    for (const ua of ctx.heuristics.USER_AGENTS) {
+      for (const referer of ctx.heuristics.REFERERS) {
+        const r = await render(ua, referer);
+        state.headerChecks.push(r.check);
+        if (r.check.error) continue;
+        r.check.similarity = util.textSimilarity(base.text, r.text);
+        if (r.check.status !== 200 || !r.html) continue;
+        const { sig, exposed } = ctx.assess(r.html);
+        r.check.exposed = exposed;
+        if (!exposed || base.check.exposed) continue;
+        const key = util.sha256(r.html);
+        if (!saved.has(key)) saved.set(key, await ctx.saveContent(`ua_referer_${key.slice(0, 16)}.html`, r.html));
+        r.check.contentPath = saved.get(key);
+        hits.push({ ua, referer, sig, contentPath: r.check.contentPath });
+      }
+    }
+
+    const different = state.headerChecks.filter(c => c.similarity != null && c.similarity < 0.9).length;
+    console.log(`🎭 Header checks: ${state.headerChecks.length - 1} combinations rendered, ${different} differ from baseline, ${hits.length} exposed${base.check.exposed ? ' (default render is exposed too)' : ''}`);
+    if (!hits.length) return {};
+
+    const best = hits.sort((a, b) => b.sig.wordCount - a.sig.wordCount)[0];
+    console.log(`🎭 UA/Referer success: ${best.sig.wordCount} words`);
+    return {
+      findings: [{
+        id: 'ua_referer_bypass',
+        title: `UA/Referer bypass success (${best.sig.validationScore})`,
+        severity: 'High',
+        evidence: {
+          ua: util.short(best.ua),
+          referer: best.referer,
+          contentPath: best.contentPath,
+          combinations: hits.map(h => ({ ua: util.short(h.ua, 80), referer: h.referer })),
+          headerChecks: 'header_checks.json'
+        }
+      }]
+    };
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * visual_diff — perceptual diff of screenshots/01_baseline.png against 03_final.png (overlays
+ * hidden): highlighted diff image, covered-area percentages for the page, the first viewport
+ * and the article region, and before/after crops of the article (visual_diff.json).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE = '01_baseline.png';
+const FINAL = '03_final.png';
+/* Chromium canvases stop well short of very long full-page captures */
+const MAX_HEIGHT = 16000;
+
+/* Runs in a blank page: decodes both PNGs on canvases and compares them block by block */
+async function compareInPage({ a, b, threshold, block, maxHeight, viewportHeight, rect }) {
+  const load = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('screenshot could not be decoded'));
+    img.src = src;
+  });
+  const [ia, ib] = await Promise.all([load(a), load(b)]);
+  const w = Math.max(ia.width, ib.width);
+  const h = Math.min(Math.max(ia.height, ib.height), maxHeight);
+  const canvas = (cw, ch) => { const c = document.createElement('canvas'); c.width = cw; c.height = ch; return c; };
+  const pixels = (img) => {
+    const g = canvas(w, h).getContext('2d');
+    g.fillStyle = '#fff';
+    g.fillRect(0, 0, w, h);
+    g.drawImage(img, 0, 0);
+    return g.getImageData(0, 0, w, h).data;
+  };
+  const pa = pixels(ia), pb = pixels(ib);
+
+  /* YIQ colour distance (as in pixelmatch); a block changes when 10% of its pixels do */
+  const maxDelta = 35215 * threshold * threshold;
+  const cols = Math.ceil(w / block), rows = Math.ceil(h / block);
+  const counts = new Uint32Array(cols * rows);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const dr = pa[i] - pb[i], dg = pa[i + 1] - pb[i + 1], db = pa[i + 2] - pb[i + 2];
+      const yy = dr * 0.29889531 + dg * 0.58662247 + db * 0.11448223;
+      const ii = dr * 0.59597799 - dg * 0.27417610 - db * 0.32180189;
+      const qq = dr * 0.21147017 - dg * 0.52261711 + db * 0.31114694;
+      if (0.5053 * yy * yy + 0.299 * ii * ii + 0.1957 * qq * qq > maxDelta) counts[Math.floor(y / block) * cols + Math.floor(x / block)]++;
+    }
+  }
+
+  const area = (x0, y0, x1, y1) => Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+  const changed = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const x0 = c * block, y0 = r * block, x1 = Math.min(w, x0 + block), y1 = Math.min(h, y0 + block);
+      if (counts[r * cols + c] >= area(x0, y0, x1, y1) * 0.1) changed.push([x0, y0, x1, y1]);
+    }
+  }
+  /* Share of a region whose pixels changed between the captures */
+  const coveredIn = (rx0, ry0, rx1, ry1) => {
+    const total = area(rx0, ry0, rx1, ry1);
+    if (!total) return null;
+    const hit = changed.reduce((n, [x0, y0, x1, y1]) => n + area(Math.max(x0, rx0), Math.max(y0, ry0), Math.min(x1, rx1), Math.min(y1, ry1)), 0);
+    return Number((hit / total * 100).toFixed(1));
+  };
+  const region = rect && { x: Math.max(0, rect.x), y: Math.max(0, rect.y), w: Math.min(rect.w, w - Math.max(0, rect.x)), h: Math.min(rect.h, h - Math.max(0, rect.y)) };
+  const bbox = changed.length ? changed.reduce((bb, [x0, y0, x1, y1]) => [Math.min(bb[0], x0), Math.min(bb[1], y0), Math.max(bb[2], x1), Math.max(bb[3], y1)], [w, h, 0, 0]) : null;
+
+  /* Final capture dimmed, changed blocks in red, article region outlined */
+  const out = canvas(w, h);
+  const g = out.getContext('2d');
+  g.fillStyle = '#fff';
+  g.fillRect(0, 0, w, h);
+  g.drawImage(ib, 0, 0);
+  g.fillStyle = 'rgba(255,255,255,0.6)';
+  g.fillRect(0, 0, w, h);
+  g.fillStyle = 'rgba(220,0,0,0.45)';
+  for (const [x0, y0, x1, y1] of changed) g.fillRect(x0, y0, x1 - x0, y1 - y0);
+  if (region && region.w > 0 && region.h > 0) {
+    g.strokeStyle = '#0057d9';
+    g.lineWidth = 4;
+    g.strokeRect(region.x, region.y, region.w, region.h);
+  }
+
+  const crop = (img) => {
+    const c = canvas(region.w, region.h);
+    const cg = c.getContext('2d');
+    cg.fillStyle = '#fff';
+    cg.fillRect(0, 0, region.w, region.h);
+    cg.drawImage(img, region.x, region.y, region.w, region.h, 0, 0, region.w, region.h);
+    return c.toDataURL('image/png');
+  };
+  const hasRegion = region && region.w > 0 && region.h > 0;
+  return {
+    size: { width: w, height: h, baseline: [ia.width, ia.height], final: [ib.width, ib.height], truncated: Math.max(ia.height, ib.height) > maxHeight },
+    changedBlocks: changed.length,
+    bbox: bbox && { x: bbox[0], y: bbox[1], w: bbox[2] - bbox[0], h: bbox[3] - bbox[1] },
+    coveredPct: coveredIn(0, 0, w, h),
+    viewportCoveredPct: coveredIn(0, 0, w, Math.min(h, viewportHeight)),
+    articleCoveredPct: hasRegion ? coveredIn(region.x, region.y, region.x + region.w, region.y + region.h) : null,
+    region: hasRegion ? region : null,
+    diff: out.toDataURL('image/png'),
+    crops: hasRegion ? { baseline: crop(ia), final: crop(ib) } : null
+  };
+}
+
+const writePng = (fp, dataUrl) => fs.promises.writeFile(fp, Buffer.from(dataUrl.split(',')[1], 'base64'));
+
+module.exports = {
+  id: 'visual_diff',
+  description: 'Perceptual diff of the baseline and overlay-hidden screenshots, covered-area percentage and article crops',
+  order: 405,
+  requires: ['page', 'visualDiff'],
+  async run(ctx) {
+    const { page, shotsDir, state, heuristics } = ctx;
+    const report = state.visualDiff;
+    const files = [BASELINE, FINAL].map(f => path.join(shotsDir, f));
+    if (!files.every(f => fs.existsSync(f))) {
+      report.note = `${BASELINE} / ${FINAL} missing`;
+      return {};
+    }
+
+    /* Article region in document coordinates of the final (overlay-hidden) layout */
+    const rect = await page.evaluate((sels) => {
+      const dpr = window.devicePixelRatio || 1;
+      for (const s of sels) {
+        try {
+          const el = s && document.querySelector(s);
+          if (!el) continue;
+          const r = el.getBoundingClientRect();
+          if (r.width < 50 || r.height < 50) continue;
+          return { selector: s, x: Math.round((r.left + scrollX) * dpr), y: Math.round((r.top + scrollY) * dpr), w: Math.round(r.width * dpr), h: Math.round(r.height * dpr) };
+        } catch {}
+      }
+      return null;
+    }, [state.articleDom?.sel, ...heuristics.SELECTORS]);
+    const viewportHeight = await page.evaluate(() => Math.round(innerHeight * (window.devicePixelRatio || 1)));
+
+    const { pixelThreshold, blockSize, minCoveredPct } = heuristics.VISUAL;
+    let view;
+    const blank = await ctx.context.newPage();
+    try {
+      const [a, b] = files.map(f => `data:image/png;base64,${fs.readFileSync(f).toString('base64')}`);
+      view = await blank.evaluate(compareInPage, { a, b, threshold: pixelThreshold, block: blockSize, maxHeight: MAX_HEIGHT, viewportHeight, rect });
+    } finally {
+      try { await blank.close(); } catch {}
+    }
+
+    const images = { diff: path.join('screenshots', '04_visual_diff.png') };
+    await writePng(path.join(shotsDir, '04_visual_diff.png'), view.diff);
+    if (view.crops) {
+      images.articleBaseline = path.join('screenshots', '05_article_baseline.png');
+      images.articleFinal = path.join('screenshots', '06_article_final.png');
+      await writePng(path.join(shotsDir, '05_article_baseline.png'), view.crops.baseline);
+      await writePng(path.join(shotsDir, '06_article_final.png'), view.crops.final);
+    }
+
+    Object.assign(report, {
+      compared: [BASELINE, FINAL],
+      pixelThreshold,
+      blockSize,
+      size: view.size,
+      changedBlocks: view.changedBlocks,
+      bbox: view.bbox,
+      coveredPct: view.coveredPct,
+      viewportCoveredPct: view.viewportCoveredPct,
+      articleSelector: rect ? rect.selector : null,
+      articleRegion: view.region,
+      articleCoveredPct: view.articleCoveredPct,
+      images
+    });
+    console.log(`🖼️  Visual diff: ${view.coveredPct}% of the page, ${view.viewportCoveredPct}% of the first viewport${view.articleCoveredPct != null ? `, ${view.articleCoveredPct}% of the article` : ''} changed once overlays are hidden`);
+
+    const covered = view.articleCoveredPct ?? view.viewportCoveredPct;
+    if (covered < minCoveredPct) return {};
+    return {
+      findings: [{
+        id: 'overlay_coverage',
+        title: `Overlay covers ${covered}% of the ${view.articleCoveredPct != null ? 'article region' : 'first viewport'}`,
+        severity: 'Medium',
+        evidence: {
+          url: ctx.url,
+          coveredPct: view.coveredPct,
+          viewportCoveredPct: view.viewportCoveredPct,
+          articleCoveredPct: view.articleCoveredPct,
+          articleSelector: report.articleSelector,
+          ...images
+        }
+      }]
+    };
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * xhr_monitor — record JSON/HTML responses the page loaded since the first navigation
+ * (xhr_scan.json) and report those that carry the full article. Responses captured before
+ * this probe ran are replayed by ctx.network; later ones keep arriving after run() returns,
+ * so findings go through ctx.addFinding.
+ */
+module.exports = {
+  id: 'xhr_monitor',
+  description: 'Monitor XHR/fetch/GraphQL responses for article bodies',
+  order: 220,
+  requires: ['network', 'xhrScan'],
+  async run(ctx) {
+    const { util, state } = ctx;
+    ctx.network.onResponse(async ({ url, method, status, ct, content, phase }) => {
+      try {
+        const rec = {
+          url,
+          method,
+          status,
+          ct,
+          phase,
+          size_hint: content ? content.length : null,
+          sha256: content ? util.sha256(content) : null,
+          preview: ctx.cfg.noPreview ? undefined : util.short(content || '', 180),
+          topKeys: []
+        };
+
+        if (/json|graphql/.test(ct) && content) {
+          try {
+            const obj = JSON.parse(content);
+            if (obj && typeof obj === 'object') {
+              rec.topKeys = Object.keys(obj).slice(0, 10);
+              const articleText = util.findKeyJson(obj, ctx.heuristics.ARTICLE_KEYS_RX);
+              if (typeof articleText === 'string' && ctx.assess(articleText, { fallback: articleText.length > 1000 }).exposed) {
+                const contentPath = await ctx.saveContent(`xhr_json_${util.sha256(url).slice(0, 8)}.json`, content, { body: articleText });
+                ctx.addFinding({
+                  id: 'xhr_json',
+                  title: 'Full article from XHR JSON',
+                  severity: 'High',
+                  evidence: { url, contentPath }
+                });
+                console.log(`XHR JSON hit: ${articleText.length} chars`);
+              }
+            }
+          } catch {}
+        }
+
+        if (/html/.test(ct) && content) {
+          const { sig, exposed } = ctx.assess(content);
+          Object.assign(rec, { htmlSignals: sig });
+
+          if (exposed) {
+            const contentPath = await ctx.saveContent(`xhr_${util.sha256(url).slice(0, 16)}.html`, content);
+            ctx.addFinding({
+              id: 'xhr_fragment',
+              title: `XHR fragment success (${sig.validationScore})`,
+              severity: 'High',
+              evidence: {
+                url,
+                ct,
+                htmlSignals: sig,
+                sha256: rec.sha256,
+                contentPath
+              }
+            });
+            console.log(`🌐 XHR fragment: ${sig.wordCount} words (${sig.validationScore})`);
+          }
+        }
+
+        state.xhrScan.push(rec);
+      } catch {}
+    });
+    return {};
+  }
+};
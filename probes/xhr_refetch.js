@@ -0,0 +1,52 @@
+/**
+ * xhr_refetch — re-fetch promising XHR responses outside the page (no cookies, crawler UA).
+ */
+module.exports = {
+  id: 'xhr_refetch',
+  description: 'Re-fetch HTML / fragment-looking XHRs captured by xhr_monitor',
+  order: 410,
+  requires: ['xhrScan'],
+  async run(ctx) {
+    const { util, state } = ctx;
+    const findings = [];
+    for (const rec of state.xhrScan) {
+      const isHtmlish = /html/.test(rec.ct || '');
+      const looksFragment = ctx.heuristics.XHR_FRAGMENT_CANDIDATES.some(s => (rec.url || '').includes(s));
+      if (!isHtmlish && !looksFragment) continue;
+
+      try {
+        const r = await ctx.fetchText(rec.url, { headers: { 'Accept': rec.ct || 'text/html', 'X-Requested-With': 'XMLHttpRequest' }, timeout: 10000 });
+        if (r.error || typeof r.text !== 'string') continue;
+
+        const content = r.text;
+        const { sig, exposed } = ctx.assess(content);
+
+        rec.refetch = {
+          status: r.status,
+          ct: r.headers?.['content-type'] || null,
+          sha256: util.sha256(content),
+          htmlSignals: sig,
+          preview: ctx.cfg.noPreview ? undefined : util.short(content, 180)
+        };
+
+        if (exposed) {
+          const contentPath = await ctx.saveContent(`xhr_refetch_${util.sha256(rec.url).slice(0, 16)}.html`, content);
+          findings.push({
+            id: 'xhr_refetch',
+            title: `XHR refetch success (${sig.validationScore})`,
+            severity: 'High',
+            evidence: {
+              url: rec.url,
+              ct: rec.refetch.ct,
+              htmlSignals: sig,
+              sha256: rec.refetch.sha256,
+              contentPath
+            }
+          });
+          console.log(`🔄 XHR refetch: ${sig.wordCount} words`);
+        }
+      } catch {}
+    }
+    return { findings };
+  }
+};
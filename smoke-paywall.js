@@ -5,11 +5,19 @@
  * Use ONLY with explicit written authorization from the site owner.
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const urlModule = require('url');
+const { scopeCheck } = require('./lib/scope');
+const { toRegex, validateConfig, mergeConfig } = require('./lib/config');
+const { validateFingerprints } = require('./lib/fingerprints');
+const leak = require('./lib/leak');
+const { htmlToText } = leak;
+const { severityRank, findingKey, xmlEscape, toSarif, toJunit } = require('./lib/reports');
+const { CONFIG_SCHEMA, DEFAULT_CONFIG, compileHeuristics } = require('./lib/heuristics');
+const content = require('./lib/content');
+const { parseHtmlEntities, breakText, countWords, findKeyJson, findKeyPaths, jsonArticleText, assessContent, extractJsonContent, extractContent } = content;
 
 /* ------------------------------ CLI ------------------------------ */
 
@@ -24,17 +32,91 @@ function parseCLI() {
   const timeout = parseInt(getArg('--timeout') || '', 10);
   const ua = getArg('--ua') || null;
   const noPreview = args.includes('--no-preview');
+  const verbose = args.includes('--verbose');
+  const recordHar = args.includes('--record-har');
+  const replay = getArg('--replay');
+  const allowPostReplay = args.includes('--allow-post-replay');
+  const scope = getArg('--scope') || process.env.SCOPE_FILE || null;
+  const config = getArg('--config');
+  const subscriberState = getArg('--subscriber-state');
+  const fingerprints = getArg('--fingerprints');
+  const urlsFile = getArg('--urls');
+  const sitemap = getArg('--sitemap');
+  const concurrency = parseInt(getArg('--concurrency') || '', 10);
+  const limit = parseInt(getArg('--limit') || '', 10);
+  const list = (v) => (v ? v.split(',').map(x => x.trim()).filter(Boolean) : []);
+  /* The two run directories, wherever the options around them are (their values are not directories) */
+  const diff = args[0] === 'diff'
+    ? args.slice(1).filter((a, i, rest) => !a.startsWith('--') && !['--fail-on', '--out'].includes(rest[i - 1])).slice(0, 2)
+    : null;
   return {
-    url, headful,
+    diff,
+    failOn: getArg('--fail-on') || 'High',
+    diffOut: getArg('--out'),
+    formats: list(getArg('--format')),
+    url, headful, verbose,
+    recordHar,
+    replay,
+    allowPostReplay,
     timeout: Number.isFinite(timeout) ? timeout : 45000,
     userAgent: ua,
-    noPreview
+    noPreview,
+    scope,
+    config,
+    subscriberState,
+    fingerprints,
+    urlsFile,
+    sitemap,
+    concurrency: Number.isFinite(concurrency) && concurrency > 0 ? concurrency : 2,
+    limit: Number.isFinite(limit) && limit > 0 ? limit : null,
+    only: list(getArg('--only')),
+    skip: list(getArg('--skip')),
+    probesDirs: args.reduce((dirs, a, i) => (a === '--probes-dir' && args[i + 1] ? [...dirs, args[i + 1]] : dirs), []),
+    listProbes: args.includes('--list-probes')
   };
 }
 
 const CFG = parseCLI();
-if (!CFG.url) {
-  console.error('ERROR: provide --url or TEST_URL env var');
+if (CFG.diff) process.exit(runDiff(CFG.diff, CFG.failOn, CFG.diffOut));
+if (CFG.listProbes) {
+  const probes = loadProbes();
+  console.log(table(probes.map(p => [p.order, p.id, p.description || '', (p.requires || []).join(', '), path.relative(process.cwd(), p.file)]),
+    ['Order', 'ID', 'Description', 'Requires', 'File']));
+  process.exit(0);
+}
+let REPLAY = null;
+if (CFG.replay) {
+  if (CFG.urlsFile || CFG.sitemap || CFG.recordHar) {
+    console.error('ERROR: --replay takes a single recorded target (no --urls, --sitemap or --record-har)');
+    process.exit(2);
+  }
+  try {
+    REPLAY = loadReplay(CFG.replay);
+  } catch (e) {
+    console.error(`ERROR: cannot replay ${CFG.replay}: ${e.message}`);
+    process.exit(2);
+  }
+  CFG.url = CFG.url || REPLAY.target;
+}
+if (!CFG.url && !CFG.urlsFile && !CFG.sitemap) {
+  console.error('ERROR: provide --url, --urls file.txt, --sitemap URL, --replay run.har or TEST_URL env var');
+  process.exit(2);
+}
+const unknownFormats = CFG.formats.filter(f => !['sarif', 'junit'].includes(f));
+if (unknownFormats.length) {
+  console.error(`ERROR: unknown --format ${unknownFormats.join(', ')} (supported: sarif, junit)`);
+  process.exit(2);
+}
+if (severityRank(CFG.failOn) > 4) {
+  console.error('ERROR: --fail-on must be one of Critical, High, Medium, Low, Info');
+  process.exit(2);
+}
+if (CFG.subscriberState && !fs.existsSync(CFG.subscriberState)) {
+  console.error(`ERROR: subscriber storageState ${CFG.subscriberState} does not exist`);
+  process.exit(2);
+}
+if (!CFG.scope) {
+  console.error('ERROR: provide --scope scope.json or SCOPE_FILE env var (rules-of-engagement scope is mandatory)');
   process.exit(2);
 }
 
@@ -48,38 +130,56 @@ async function writeText(fp, text) { await fs.promises.writeFile(fp, text, 'utf8
 function short(s, n = 240) { return (s || '').slice(0, n); }
 function sha256(s) { return crypto.createHash('sha256').update(s || '').digest('hex'); }
 function decodeUtf8(str) { return decodeURIComponent(escape(str)); }
-function parseHtmlEntities(encodedString) {
-  const textarea = document.createElement('textarea');
-  textarea.innerHTML = encodedString;
-  return textarea.value;
-}
-function breakText(str, headers = false) {
-  str = str.replace(/(?:^|[A-Za-z\"\“\”\)])(\.+|\?|!)(?=[A-ZÖÜ\„\”\d][A-Za-zÀ-ÿ\„\d]{1,})/gm, "$&\n\n");
-  if (headers) str = str.replace(/(([a-z]{2,}|[\"\“]))(?=[A-Z](?=[A-Za-zÀ-ÿ]+))/gm, "$&\n\n");
-  return str;
-}
-function matchDomain(domains, hostname) {
-  if (typeof domains === 'string') domains = [domains];
-  return domains.find(domain => hostname === domain || hostname.endsWith('.' + domain)) || false;
-}
-function urlHost(url) {
-  if (/^http/.test(url)) {
-    try { return new URL(url).hostname; } catch (e) {}
+
+/* ------------------------ Rules-of-engagement --------------------- */
+
+/*
+ * Scope file format:
+ * {
+ *   "engagementId": "ROE-2025-014",
+ *   "tester": "Jane Doe <jane@example.com>",
+ *   "validFrom": "2025-10-01T00:00:00Z",
+ *   "validUntil": "2025-10-31T23:59:59Z",
+ *   "allow": [
+ *     { "host": "www.example.com", "paths": ["/news/", "/api/"] },
+ *     { "host": "cdn.example.com" }
+ *   ]
+ * }
+ * A host entry also covers its subdomains; omitting "paths" allows every path.
+ */
+function loadScope(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`cannot read scope file ${file}: ${e.message}`);
   }
-  return url;
-}
-function matchUrlDomain(domains, url) { return matchDomain(domains, urlHost(url)); }
-
-/* Recursive JSON key finder for nested content */
-function findKeyJson(obj, keyRegex, maxDepth = 5, currentDepth = 0) {
-  if (currentDepth > maxDepth) return null;
-  if (typeof obj !== 'object' || obj === null) return null;
-  for (const key in obj) {
-    if (keyRegex.test(key)) return obj[key];
-    const nested = findKeyJson(obj[key], keyRegex, maxDepth, currentDepth + 1);
-    if (nested) return nested;
+  const errors = [];
+  if (!raw || typeof raw !== 'object') errors.push('scope must be a JSON object');
+  else {
+    if (!raw.engagementId || typeof raw.engagementId !== 'string') errors.push('"engagementId" is required');
+    if (!raw.tester || typeof raw.tester !== 'string') errors.push('"tester" is required');
+    for (const k of ['validFrom', 'validUntil']) {
+      if (!raw[k] || Number.isNaN(Date.parse(raw[k]))) errors.push(`"${k}" must be an ISO date`);
+    }
+    if (!Array.isArray(raw.allow) || !raw.allow.length) errors.push('"allow" must be a non-empty array');
+    else raw.allow.forEach((a, i) => {
+      if (!a || typeof a.host !== 'string' || !a.host) errors.push(`allow[${i}].host is required`);
+      if (a && a.paths !== undefined && (!Array.isArray(a.paths) || a.paths.some(p => typeof p !== 'string' || !p.startsWith('/')))) {
+        errors.push(`allow[${i}].paths must be an array of "/..." prefixes`);
+      }
+    });
   }
-  return null;
+  if (errors.length) throw new Error(`invalid scope file ${file}: ${errors.join('; ')}`);
+  return {
+    file: path.resolve(file),
+    sha256: sha256(fs.readFileSync(file, 'utf8')),
+    engagementId: raw.engagementId,
+    tester: raw.tester,
+    validFrom: new Date(raw.validFrom).toISOString(),
+    validUntil: new Date(raw.validUntil).toISOString(),
+    allow: raw.allow.map(a => ({ host: a.host.toLowerCase(), paths: a.paths || null }))
+  };
 }
 
 /* Console table formatter */
@@ -91,162 +191,307 @@ function table(rows, headers) {
   return [sep, line(headers), sep, ...rows.map(line), sep].join('\n');
 }
 
-const OUT_ROOT = `./smoke_paywall_${tsNow()}`; ensureDir(OUT_ROOT);
+let SCOPE;
+try {
+  SCOPE = loadScope(CFG.scope);
+} catch (e) {
+  console.error(`ERROR: ${e.message}`);
+  process.exit(2);
+}
+if (CFG.url) {
+  const targetScopeError = scopeCheck(SCOPE, CFG.url);
+  if (targetScopeError) {
+    console.error(`ERROR: target ${CFG.url} is outside the authorized scope (${targetScopeError})`);
+    process.exit(2);
+  }
+}
 
-/* ----------------------------- Heuristics ------------------------- */
-
-const SELECTORS = [
-  'main', 'article', '.post-content', '.entry-content', '.page-content',
-  'div.article-body', 'div.content-body', 'div.meteredContent',
-  'div.body-copy', 'div.article-main-txt', '#articleBody', 'p#articleBodyForbidden'
-];
-const OVERLAYS = [
-  '.fr-gate-overlay', '.fr-gate-container',
-  '#CartDrawer-Overlay', 'cart-drawer',
-  '#CybotCookiebotDialog', '.issue-article-cover',
-  'div.paywall', 'div#paywall', 'div.premium', 'div[class*="-premium"]',
-  'div[id^="issuem-leaky-paywall-"]', 'div.wkwp-paywall',
-  'div.didomi-popup-open', 'div.OUTBRAIN', 'div[id^="taboola-"]'
-];
-
-const XHR_FRAGMENT_CANDIDATES = [
-  'var_ajax=1', 'view=fragment', 'view=ajax', 'render=fragment',
-  '/fragment', '/partial', 'component=ajax', 'wp-admin/admin-ajax.php',
-  '_format=amp', 'format=amp', 'outputType=amp',
-  '/wp-json/wp/v2/posts/', '/?rest_route=/wp/v2/posts/'
-];
-
-const ARTICLE_KEYS_RX = /\b(body_html|articleBody|renderedBody|content_html|contentHtml|content\.blocks|paragraphs|paywall|meter|entitlement|subscribe|content\.rendered|blocks|body|text)\b/i;
-const HTML_LIKE_RX = /<html|<article|<main|<p[\s>]/i;
-const JSON_LD_RX = /<script type="application\/ld\+json">([\s\S]+?)<\/script>/gi;
-const NEXT_DATA_RX = /<script id="__NEXT_DATA__"[^>]*>([\s\S]+?)<\/script>/gi;
-
-/* Paywall provider markers for detection */
-const PROVIDER_MARKERS = {
-  medium: 'head > link[href*=".medium.com/"]',
-  beehiiv: 'head > meta[property="og:image"][content*="beehiiv"]',
-  ghost: 'head > meta[name="generator"][content^="Ghost"]',
-  substack: 'head > link[href^="https://substackcdn.com/"]',
-  leaky_paywall: 'head > link[href*="/leaky-paywall"], script[src*="/leaky-paywall"], div[id^="issuem-leaky-paywall-"]',
-  wallkit: 'head > link[href$=".wallkit.net"]'
-};
+/* Out-of-scope requests blocked outside any target scan (sitemap discovery) */
+const scopeBlocked = [];
+function inScope(url, via, log = scopeBlocked) {
+  const reason = scopeCheck(SCOPE, url);
+  if (!reason) return true;
+  log.push({ at: new Date().toISOString(), via, url: short(url, 500), reason });
+  console.log(`⛔ Out of scope (${via}): ${short(url, 120)} — ${reason}`);
+  return false;
+}
 
-/* Blocked script regexes for paywall detection */
-const BLOCKED_REGEXES = {
-  piano: /piano\.io\/.*\.js/,
-  poool: /poool\.io\/.*\.js/,
-  outbrain: /outbrain\.com\/.*\.js/,
-  taboola: /taboola\.com\/.*\.js/
-};
+/* --------------------------- Configuration ------------------------ */
 
-/* Paywall strings for false positive validation */
-const PAYWALL_STRINGS_RX = /abonn[ée]?|subscribe|login|sign in|réservée aux|paywall|premium content|metered/i;
+/*
+ * --config file.json|.yaml overrides the heuristics in lib/heuristics.js. Objects merge key by key
+ * (a null value removes a key), arrays and scalars replace the default. Regexes are
+ * given as "source" or "/source/flags". Schema types are described in lib/config.js.
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+  let yaml;
+  try { yaml = require('js-yaml'); } catch {
+    try { yaml = require('yaml'); } catch {
+      throw new Error('YAML config needs the js-yaml (or yaml) package: npm install js-yaml');
+    }
+  }
+  return yaml.load ? yaml.load(text) : yaml.parse(text);
+}
+
+let EFFECTIVE_CONFIG = DEFAULT_CONFIG;
+if (CFG.config) {
+  let raw;
+  try {
+    raw = readConfigFile(CFG.config);
+  } catch (e) {
+    console.error(`ERROR: cannot read config ${CFG.config}: ${e.message}`);
+    process.exit(2);
+  }
+  const errors = validateConfig(raw, CONFIG_SCHEMA);
+  if (errors.length) {
+    console.error(`ERROR: invalid config ${CFG.config}:\n  - ${errors.join('\n  - ')}`);
+    process.exit(2);
+  }
+  EFFECTIVE_CONFIG = mergeConfig(DEFAULT_CONFIG, raw);
+}
+const HEURISTICS = compileHeuristics(EFFECTIVE_CONFIG);
+
+/* --------------------------- Provider fingerprints ---------------- */
+
+/*
+ * fingerprints/providers.json is the versioned database. --fingerprints file.json has the same
+ * shape and is merged over it (providers key by key, null removes one); the providerMarkers
+ * config adds DOM markers. Script / cookie / endpoint patterns are regexes like the config's.
+ */
+const BUNDLED_FINGERPRINTS = path.join(__dirname, 'fingerprints', 'providers.json');
+
+function loadFingerprints(extraFile, markers) {
+  let db = JSON.parse(fs.readFileSync(BUNDLED_FINGERPRINTS, 'utf8'));
+  const errors = validateFingerprints(db).map(e => `${path.basename(BUNDLED_FINGERPRINTS)}: ${e}`);
+  const sources = [{ file: path.relative(__dirname, BUNDLED_FINGERPRINTS), version: db.version || null }];
+  if (extraFile) {
+    const extra = JSON.parse(fs.readFileSync(extraFile, 'utf8'));
+    errors.push(...validateFingerprints(extra).map(e => `${extraFile}: ${e}`));
+    if (errors.length) return { errors };
+    db = mergeConfig(db, extra);
+    sources.push({ file: path.resolve(extraFile), version: extra.version || null });
+  }
+  if (errors.length) return { errors };
+  const compile = (id, field, list) => (list || []).map(src => {
+    try { return toRegex(src); } catch (e) { errors.push(`providers.${id}.${field}: ${e.message}`); return null; }
+  }).filter(Boolean);
+  const providers = {};
+  for (const [id, p] of Object.entries(db.providers || {})) {
+    if (!p) continue;
+    const v = p.version || {};
+    providers[id] = {
+      id,
+      name: p.name || id,
+      category: p.category || null,
+      scripts: compile(id, 'scripts', p.scripts),
+      endpoints: compile(id, 'endpoints', p.endpoints),
+      cookies: compile(id, 'cookies', p.cookies),
+      globals: p.globals || [],
+      dom: p.dom || [],
+      version: {
+        global: v.global || null,
+        script: v.script ? compile(id, 'version.script', [v.script])[0] || null : null,
+        meta: v.meta ? compile(id, 'version.meta', [v.meta])[0] || null : null
+      }
+    };
+  }
+  for (const [id, sel] of Object.entries(markers || {})) {
+    if (!sel) continue;
+    providers[id] = providers[id] || { id, name: id, category: null, scripts: [], endpoints: [], cookies: [], globals: [], dom: [], version: {} };
+    providers[id].dom = [...new Set([...providers[id].dom, sel])];
+  }
+  return {
+    version: db.version || null,
+    sources,
+    weights: { scripts: 0.45, endpoints: 0.4, globals: 0.35, cookies: 0.3, dom: 0.25, ...(db.weights || {}) },
+    minConfidence: db.minConfidence ?? 0.25,
+    providers,
+    errors
+  };
+}
+
+try {
+  HEURISTICS.PROVIDERS = loadFingerprints(CFG.fingerprints, HEURISTICS.PROVIDER_MARKERS);
+} catch (e) {
+  console.error(`ERROR: cannot read fingerprints ${CFG.fingerprints || BUNDLED_FINGERPRINTS}: ${e.message}`);
+  process.exit(2);
+}
+if (HEURISTICS.PROVIDERS.errors.length) {
+  console.error(`ERROR: invalid fingerprints:\n  - ${HEURISTICS.PROVIDERS.errors.join('\n  - ')}`);
+  process.exit(2);
+}
+
+const OUT_ROOT = `./smoke_paywall_${tsNow()}`; ensureDir(OUT_ROOT);
 
 /* ----------------------------- HTTP helper ------------------------ */
 
+/*
+ * Redirects are followed by hand so every hop is checked against the scope. `opts.har`
+ * receives a HAR entry per hop (--record-har); with --replay responses come from the HAR.
+ * Crawler UA and Google referer by default; `referer: null` sends no Referer.
+ */
 async function fetchText(url, opts = {}) {
+  const method = opts.method || 'GET';
+  const headers = {
+    'User-Agent': opts.ua || CFG.userAgent || 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    ...(opts.referer === null ? {} : { 'Referer': opts.referer || 'https://www.google.com/' }),
+    ...(opts.headers || {})
+  };
+  let current = url;
+  let sentAt = null;
   try {
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), opts.timeout || 20000);
-    const r = await fetch(url, {
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: {
-        'User-Agent': opts.ua || CFG.userAgent || 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
-        'Referer': opts.referer || 'https://www.google.com/',
-        ...(opts.headers || {})
+    let r;
+    for (let hop = 0; hop <= 10; hop++) {
+      if (!inScope(current, 'fetch', opts.scopeLog)) {
+        clearTimeout(t);
+        return { error: 'blocked: out of scope', blocked: true, url: current };
       }
-    });
+      sentAt = new Date();
+      r = REPLAY
+        ? replayResponse(method, current, opts.body, headers)
+        : await fetch(current, { method, body: opts.body, redirect: 'manual', signal: controller.signal, headers });
+      const location = r.headers.get('location');
+      if (r.status < 300 || r.status >= 400 || !location) break;
+      if (opts.har) opts.har(harEntry(sentAt, method, current, headers, opts.body, r, ''));
+      current = new URL(location, current).toString();
+    }
     clearTimeout(t);
     const text = await r.text().catch(() => null);
+    if (opts.har) opts.har(harEntry(sentAt, method, current, headers, opts.body, r, text));
     return { status: r.status, headers: Object.fromEntries(r.headers.entries()), text };
   } catch (e) {
-    return { error: String(e).slice(0, 300) };
+    const error = String(e).slice(0, 300);
+    if (opts.har && sentAt) opts.har(harEntry(sentAt, method, current, headers, opts.body, null, null, error));
+    return { error };
   }
 }
 
-/* Enhanced article-like signal with false positive filtering */
-function analyzeHtmlContent(htmlContent, teaserLength = 0) {
-  const str = htmlContent || '';
-  const len = str.length;
-
-  const tagP = (str.match(/<p[\s>]/gi) || []).length;
-  const tagH = (str.match(/<h[1-3][\s>]/gi) || []).length;
-  const tagArticle = /<article[\s>]/i.test(str);
-  const hasMain = /<main[\s>]/i.test(str);
-
-  const textOnly = str
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-  const words = textOnly ? textOnly.split(/\s+/).filter(Boolean) : [];
-  const wordCount = words.length;
-
-  const density = len ? Math.min(1, wordCount / Math.max(200, len / 6)) : 0;
-
-  const hasKeys = ARTICLE_KEYS_RX.test(str);
-  const looksHtml = HTML_LIKE_RX.test(str);
-  const isPaywallContent = PAYWALL_STRINGS_RX.test(textOnly);
-  const hasSubscriptionPrompt = /subscribe|login|sign in|réservée|abonn[ée]/.test(textOnly);
-
-  // Stricter criteria to reduce false positives
-  const articleLike =
-    looksHtml &&
-    !isPaywallContent &&
-    !hasSubscriptionPrompt &&
-    wordCount > 1000 && // Higher threshold
-    density > 0.3 && // Tighter density
-    len > (teaserLength * 2) && // Significantly longer than teaser
-    (tagArticle || hasMain || (tagP >= 12 && tagH >= 3)); // Stricter tag requirements
+/* ------------------------- HAR record / replay -------------------- */
 
+/* HAR 1.2 entry for one fetchText hop: headers as sent, decoded body text, transport error */
+function harEntry(sentAt, method, url, headers, body, res, text, error) {
+  const pairs = (entries) => [...entries].map(([name, value]) => ({ name, value: String(value) }));
+  const time = Date.now() - sentAt.getTime();
+  let query = [];
+  try { query = pairs(new URL(url).searchParams); } catch {}
   return {
-    contentBytes: len,
-    tagP,
-    tagH,
-    hasArticleTag: !!tagArticle,
-    hasMain,
-    wordCount,
-    density: Number(density.toFixed(3)),
-    hasArticleKeys: hasKeys,
-    looksHtml,
-    isPaywallContent,
-    hasSubscriptionPrompt,
-    articleLike,
-    validationScore: articleLike ? 'HIGH' : isPaywallContent ? 'PAYWALLED' : 'LOW'
+    startedDateTime: sentAt.toISOString(),
+    time,
+    request: {
+      method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: pairs(Object.entries(headers)),
+      queryString: query,
+      ...(body != null ? { postData: { mimeType: headers['Content-Type'] || headers['content-type'] || '', text: String(body) } } : {}),
+      headersSize: -1,
+      bodySize: body != null ? Buffer.byteLength(String(body)) : 0
+    },
+    response: {
+      status: res ? res.status : 0,
+      statusText: res ? res.statusText : '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: res ? pairs(res.headers.entries()) : [],
+      content: { size: text ? Buffer.byteLength(text) : 0, mimeType: (res && res.headers.get('content-type')) || '', text: text ?? '' },
+      redirectURL: (res && res.headers.get('location')) || '',
+      headersSize: -1,
+      bodySize: -1,
+      ...(error ? { _error: error } : {})
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _source: 'fetchText'
   };
 }
 
-/* Extract article from JSON with recursive key finding */
-function extractJsonContent(jsonStr, isNextData = false) {
-  try {
-    const json = JSON.parse(jsonStr);
-    let content = '';
-    if (isNextData) {
-      const body = findKeyJson(json, /body|blocks|content/i);
-      if (Array.isArray(body)) {
-        content = body.map(b => b.text || (b.children ? b.children.map(c => c.text).join('') : '')).join('\n\n');
-      } else if (typeof body === 'string') {
-        content = body;
-      }
-    } else {
-      const arr = Array.isArray(json) ? json : [json];
-      for (const item of arr) {
-        const articleBody = findKeyJson(item, /articlebody|text/i);
-        if (articleBody) content += breakText(parseHtmlEntities(articleBody)) + '\n\n';
-      }
+/*
+ * Merges the per-context recordings Playwright writes on close (harDir/<n>_<via>.har) and the
+ * fetchText entries into <targetOut>/run.har, in request order. Browser entries carry the
+ * context that sent them (`_context`: browser, probe id), fetchText entries the probe (`_phase`).
+ */
+async function writeHar(targetOut, harDir, fetchEntries, meta, notes) {
+  const log = { version: '1.2', creator: { name: 'smoke-paywall', version: '' }, pages: [], entries: [], _smokePaywall: meta };
+  const files = fs.existsSync(harDir) ? fs.readdirSync(harDir).filter(f => f.endsWith('.har')).sort() : [];
+  for (const f of files) {
+    try {
+      const h = JSON.parse(fs.readFileSync(path.join(harDir, f), 'utf8')).log;
+      if (h.browser) log.browser = h.browser;
+      log.pages.push(...(h.pages || []));
+      const via = f.replace(/^\d+_|\.har$/g, '');
+      log.entries.push(...(h.entries || []).map(e => ({ ...e, _source: 'browser', _context: via })));
+    } catch (e) {
+      notes.push(`[har] ${f}: ${String(e).slice(0, 200)}`);
     }
-    return content.trim();
-  } catch {}
-  return '';
+  }
+  log.entries.push(...fetchEntries);
+  log.entries.sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+  await writeJson(path.join(targetOut, 'run.har'), { log });
+  fs.rmSync(harDir, { recursive: true, force: true });
+  return log.entries.length;
 }
 
+/* Recorded run for --replay: entries indexed by method + URL, the scanned target from the metadata */
+function loadReplay(file) {
+  const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error('not a HAR file (log.entries missing)');
+  const byKey = new Map();
+  for (const e of har.log.entries) {
+    if (!e.request || !e.response) continue;
+    const key = `${e.request.method} ${e.request.url}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(e);
+  }
+  const meta = har.log._smokePaywall || {};
+  const firstDoc = har.log.entries.find(e => /html/.test(e.response?.content?.mimeType || ''));
+  const target = meta.target || (firstDoc && firstDoc.request.url);
+  if (!target) throw new Error('no target URL recorded');
+  return { file: path.resolve(file), target, recordedAt: meta.recordedAt || har.log.entries[0]?.startedDateTime || null, entries: har.log.entries.length, byKey, used: new Set() };
+}
+
+/*
+ * Recorded response for a fetchText hop. Method, URL and body must match; among those, the
+ * entry with the most identical request headers (UA, Referer, Cookie variants) wins, unused
+ * entries first so repeated requests replay in order.
+ */
+function replayResponse(method, url, body, headers) {
+  const sent = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  const candidates = (REPLAY.byKey.get(`${method} ${url}`) || []).filter(e => (e.request.postData?.text ?? '') === (body == null ? '' : String(body)));
+  if (!candidates.length) throw new Error(`not recorded in ${path.basename(REPLAY.file)}: ${method} ${url}`);
+  const score = (e) => (e.request.headers || []).filter(h => sent[h.name.toLowerCase()] === h.value).length;
+  const best = Math.max(...candidates.map(score));
+  const top = candidates.filter(e => score(e) === best);
+  const e = top.find(x => !REPLAY.used.has(x)) || top[top.length - 1];
+  REPLAY.used.add(e);
+
+  const res = e.response;
+  if (!(res.status >= 200 && res.status <= 599)) throw new Error(res._error || `recorded as failed: ${method} ${url}`);
+  const h = new Headers();
+  for (const { name, value } of res.headers || []) {
+    try { h.append(name, value); } catch {}
+  }
+  const content = res.content || {};
+  const payload = content.encoding === 'base64' ? Buffer.from(content.text || '', 'base64') : (content.text ?? '');
+  return new Response([101, 204, 205, 304].includes(res.status) ? null : payload, { status: res.status, statusText: res.statusText || '', headers: h });
+}
+
+/* Shingles, leak percentage and similarity at the configured shingle size */
+function shingles(text) { return leak.shingles(text, HEURISTICS.LEAK.shingleSize); }
+function leakPercent(premiumShingles, text) { return leak.leakPercent(premiumShingles, text, HEURISTICS.LEAK.shingleSize); }
+function textSimilarity(a, b) { return leak.textSimilarity(a, b, HEURISTICS.LEAK.shingleSize); }
+/* Article-likeness signals with the configured paywall strings / phrases and thresholds */
+function analyzeHtmlContent(html, teaserLength = 0, lang = null) { return content.analyzeHtmlContent(html, teaserLength, lang, HEURISTICS); }
+
 /* Full archive flow with polling */
-async function fetchArchiveContent(url) {
+async function fetchArchiveContent(url, { fetch = fetchText, ...opts } = {}) {
   try {
     const submitUrl = `https://archive.is/submit/?url=${encodeURIComponent(url)}`;
-    const submitRes = await fetchText(submitUrl, { timeout: 30000 });
+    const submitRes = await fetch(submitUrl, { ...opts, timeout: 30000 });
     if (submitRes.error || !submitRes.text) return null;
     
     // Extract snapshot URL from response
@@ -255,7 +500,7 @@ async function fetchArchiveContent(url) {
       const snapshotUrl = `https://archive.is/${snapshotMatch[1]}`;
       let attempts = 0;
       while (attempts < 5) {
-        const snapshotRes = await fetchText(snapshotUrl, { timeout: 15000 });
+        const snapshotRes = await fetch(snapshotUrl, { ...opts, timeout: 15000 });
         if (snapshotRes.status === 200 && snapshotRes.text && snapshotRes.text.includes('<article')) return snapshotRes.text;
         await new Promise(r => setTimeout(r, 5000)); // Poll every 5s
         attempts++;
@@ -267,711 +512,1239 @@ async function fetchArchiveContent(url) {
   return null;
 }
 
-/* ----------------------------- Main flow -------------------------- */
+/* ----------------------------- Probes ----------------------------- */
+
+/*
+ * A probe is a CommonJS module exporting:
+ *   id           unique name, used by --only / --skip
+ *   description  one line for --list-probes
+ *   order        position in the run (built-ins use 100–499, default 1000)
+ *   requires     ctx / ctx.state keys that must be set, otherwise the probe is skipped
+ *   run(ctx)     async, returns { findings?: [], artifacts?: {} }; artifacts are merged
+ *                into ctx.state for later probes and the saved JSON files
+ * Built-ins live in ./probes; --probes-dir adds more directories.
+ */
+function loadProbes() {
+  const dirs = [path.join(__dirname, 'probes'), ...CFG.probesDirs.map(d => path.resolve(d))];
+  const probes = [];
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      console.error(`ERROR: probes directory ${dir} does not exist`);
+      process.exit(2);
+    }
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+      const fp = path.join(dir, file);
+      const probe = require(fp);
+      if (!probe || typeof probe.id !== 'string' || typeof probe.run !== 'function') {
+        console.error(`ERROR: ${fp} is not a probe (needs an "id" string and a "run" function)`);
+        process.exit(2);
+      }
+      const dup = probes.find(p => p.id === probe.id);
+      if (dup) {
+        console.error(`ERROR: duplicate probe id "${probe.id}" in ${fp} and ${dup.file}`);
+        process.exit(2);
+      }
+      probes.push({ order: 1000, requires: [], ...probe, file: fp });
+    }
+  }
+  return probes.sort((a, b) => a.order - b.order);
+}
 
-(async () => {
-  const targetSafe = safeName(CFG.url);
-  const targetOut = path.join(OUT_ROOT, targetSafe); ensureDir(targetOut);
-  const shotsDir = path.join(targetOut, 'screenshots'); ensureDir(shotsDir);
-  const contentDir = path.join(targetOut, 'content'); ensureDir(contentDir);
+function selectProbes(probes) {
+  const known = new Set(probes.map(p => p.id));
+  const unknown = [...CFG.only, ...CFG.skip].filter(id => !known.has(id));
+  if (unknown.length) {
+    console.error(`ERROR: unknown probe id(s): ${unknown.join(', ')} (see --list-probes)`);
+    process.exit(2);
+  }
+  return probes.filter(p => (!CFG.only.length || CFG.only.includes(p.id)) && !CFG.skip.includes(p.id));
+}
 
-  const findings = [];
-  const jsonProbes = [];
-  const headerChecks = [];
-  const scriptUrls = [];
-  const xhrScan = [];
-  const altViews = [];
-  const rawNotes = [];
+/* ----------------------------- Targets ---------------------------- */
 
-  const launchOpts = { headless: !CFG.headful };
-  const ctxOpts = {};
-  if (CFG.userAgent) ctxOpts.userAgent = CFG.userAgent;
+/* Plain-text URL list: one URL per line, blank lines and # comments ignored */
+function readUrlList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith('#'));
+}
 
-  const browser = await chromium.launch(launchOpts);
-  const context = await browser.newContext(ctxOpts);
-  const page = await context.newPage();
+/* Sitemap / sitemap index / Google News sitemap — all expose <loc> entries */
+async function readSitemap(url, depth = 0, seen = new Set()) {
+  if (depth > 3 || seen.has(url)) return [];
+  seen.add(url);
+  const r = await fetchText(url, { headers: { 'Accept': 'application/xml,text/xml;q=0.9,*/*;q=0.8' }, timeout: 30000 });
+  if (r.error || r.status !== 200 || !r.text) {
+    console.log(`Sitemap fetch failed: ${url} (${r.error || r.status})`);
+    return [];
+  }
+  const locs = [];
+  const re = /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi;
+  let m;
+  while ((m = re.exec(r.text)) !== null) {
+    locs.push(m[1].trim().replace(/&amp;/g, '&'));
+  }
+  if (!/<sitemapindex[\s>]/i.test(r.text)) return locs;
+  const out = [];
+  for (const child of locs) {
+    out.push(...await readSitemap(child, depth + 1, seen));
+    if (CFG.limit && out.length >= CFG.limit) break;
+  }
+  return out;
+}
 
-  console.log(`🚀 Starting scan for: ${CFG.url}`);
-  console.log(`Output directory: ${targetOut}`);
+async function collectTargets() {
+  const list = [];
+  if (CFG.url) list.push(CFG.url);
+  if (CFG.urlsFile) list.push(...readUrlList(CFG.urlsFile));
+  if (CFG.sitemap) list.push(...await readSitemap(CFG.sitemap));
+  const unique = [...new Set(list)];
+  return CFG.limit ? unique.slice(0, CFG.limit) : unique;
+}
 
-  /* --- Get initial teaser length for validation --- */
-  let teaserLength = 0;
+/* Site section = first path segment, used to roll findings up per template area */
+function siteSection(url) {
   try {
-    await page.goto(CFG.url, { waitUntil: 'domcontentloaded', timeout: CFG.timeout });
-    await page.waitForTimeout(800);
-    
-    const teaserHtml = await page.content();
-    const teaserSig = analyzeHtmlContent(teaserHtml);
-    teaserLength = teaserSig.contentBytes;
-    console.log(`Teaser baseline: ${teaserSig.wordCount} words, ${teaserSig.contentBytes} bytes`);
-  } catch (e) {
-    rawNotes.push(`[nav] error: ${String(e).slice(0, 200)}`);
-  }
+    const seg = new URL(url).pathname.split('/').filter(Boolean)[0];
+    return seg ? `/${seg}` : '/';
+  } catch { return '/'; }
+}
 
-  /* --- Detect paywall provider --- */
-  let detectedProvider = null;
-  try {
-    detectedProvider = await page.evaluate((markers) => {
-      for (const [provider, sel] of Object.entries(markers)) {
-        if (document.querySelector(sel)) return provider;
-      }
-      return null;
-    }, PROVIDER_MARKERS);
-    if (detectedProvider) {
-      findings.push({
-        id: 'paywall_provider',
-        title: `Detected paywall provider: ${detectedProvider}`,
-        severity: 'Info',
-        evidence: { provider: detectedProvider }
-      });
-      console.log(`Detected provider: ${detectedProvider}`);
+/* Runs worker over items with at most `limit` in flight */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
     }
-  } catch {}
+  });
+  await Promise.all(lanes);
+  return results;
+}
 
-  /* --- Block paywall scripts --- */
-  try {
-    const html = await page.content();
-    const re = /<script[^>]+src=(?:'|")([^'"]+)(?:'|")[^>]*>/gi;
-    let m;
-    while ((m = re.exec(html)) !== null) {
-      try { scriptUrls.push(new URL(m[1], CFG.url).toString()); } catch {}
-    }
+/* ----------------------------- Remediation ------------------------ */
+
+const REF = {
+  paywalledContent: { title: 'Google Search Central — Paywalled content structured data', url: 'https://developers.google.com/search/docs/appearance/structured-data/paywalled-content' },
+  verifyGooglebot: { title: 'Google Search Central — Verifying Googlebot and other Google crawlers', url: 'https://developers.google.com/search/docs/crawling-indexing/verifying-googlebot' },
+  cloaking: { title: 'Google Search Central — Spam policies: cloaking', url: 'https://developers.google.com/search/docs/essentials/spam-policies#cloaking' },
+  ampSubscriptions: { title: 'AMP — amp-subscriptions', url: 'https://amp.dev/documentation/components/amp-subscriptions/' },
+  bola: { title: 'OWASP API Security Top 10 (2023) — API1 Broken Object Level Authorization', url: 'https://owasp.org/API-Security/editions/2023/en/0xa1-broken-object-level-authorization/' },
+  cwe200: { title: 'CWE-200: Exposure of Sensitive Information to an Unauthorized Actor', url: 'https://cwe.mitre.org/data/definitions/200.html' },
+  cwe285: { title: 'CWE-285: Improper Authorization', url: 'https://cwe.mitre.org/data/definitions/285.html' },
+  cwe602: { title: 'CWE-602: Client-Side Enforcement of Server-Side Security', url: 'https://cwe.mitre.org/data/definitions/602.html' },
+  serviceWorker: { title: 'MDN — Service Worker API', url: 'https://developer.mozilla.org/en-US/docs/Web/API/Service_Worker_API' },
+  cacheControl: { title: 'MDN — Cache-Control', url: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cache-Control' }
+};
 
-    const blockedScripts = scriptUrls.filter(url => Object.values(BLOCKED_REGEXES).some(rx => rx.test(url)));
-    if (blockedScripts.length > 0) {
-      await page.evaluate((urls) => {
-        document.querySelectorAll('script[src]').forEach(script => {
-          if (urls.includes(script.src)) script.remove();
-        });
-      }, blockedScripts);
-      findings.push({
-        id: 'blocked_scripts',
-        title: `Blocked ${blockedScripts.length} paywall scripts`,
-        severity: 'Medium',
-        evidence: { scripts: blockedScripts.slice(0, 5) }
-      });
-      console.log(`Blocked ${blockedScripts.length} paywall scripts`);
-      await page.reload({ waitUntil: 'domcontentloaded' });
-      await page.waitForTimeout(800);
-    }
-  } catch {}
+/* Keyed by finding id; ids without an entry (dynamic_watcher, reader_mode, …) describe scanner actions, not weaknesses */
+const REMEDIATION = {
+  public_json: {
+    rootCause: 'A public JSON/REST endpoint (CMS API, .json route, wp-json) serves the full article body without checking entitlement.',
+    fix: 'Enforce entitlement on the API itself: return only teaser fields to anonymous callers and the body only after a server-side subscription check; disable unused CMS REST routes for premium post types.',
+    references: [REF.bola, REF.cwe285]
+  },
+  json_url: {
+    rootCause: 'A JSON rendition of the article URL (?format=json, oEmbed, /api/ rewrite) bypasses the HTML paywall.',
+    fix: 'Apply the same entitlement check to every rendition of the article route, or remove alternate renditions that are not needed publicly.',
+    references: [REF.bola, REF.cwe285]
+  },
+  jsonld_article: {
+    rootCause: 'The JSON-LD Article markup embeds articleBody in the anonymous HTML, so the full text ships to every visitor.',
+    fix: 'Drop articleBody (or limit it to the teaser) for gated articles; mark the gated section with isAccessibleForFree=false and hasPart.cssSelector, and serve the body only to verified crawlers or entitled users.',
+    references: [REF.paywalledContent, REF.cwe200]
+  },
+  jsonld_extracted: {
+    rootCause: 'Full article text is recoverable from JSON-LD blocks in the anonymous page.',
+    fix: 'Render JSON-LD for gated articles without the body text; use paywalled-content markup instead of embedding the content.',
+    references: [REF.paywalledContent, REF.cwe200]
+  },
+  jsonld_present: {
+    rootCause: 'JSON-LD Article markup is present without a body (informational).',
+    fix: 'Make sure gated articles declare isAccessibleForFree=false with a hasPart.cssSelector that matches the gated section.',
+    references: [REF.paywalledContent]
+  },
+  paywall_markup_missing: {
+    rootCause: 'The article is gated but its structured data does not declare isAccessibleForFree=false, so search engines cannot tell the paywall from cloaking.',
+    fix: 'Add isAccessibleForFree: false to the Article JSON-LD with a hasPart WebPageElement (isAccessibleForFree: false, cssSelector: ".<gated-section-class>").',
+    references: [REF.paywalledContent, REF.cloaking]
+  },
+  paywall_markup_invalid: {
+    rootCause: 'The paywalled-content markup is incomplete or points at the wrong element (missing hasPart, non-class cssSelector, selector matching nothing).',
+    fix: 'Give the gated section a dedicated class and reference it in hasPart.cssSelector; mark both the Article and the hasPart element isAccessibleForFree: false.',
+    references: [REF.paywalledContent]
+  },
+  paywall_markup_visible: {
+    rootCause: 'The section declared as paywalled in structured data is fully visible to anonymous users, so the markup contradicts what visitors see.',
+    fix: 'Either gate the section server-side for anonymous users or drop the paywall declaration for free articles; markup and rendered access must agree.',
+    references: [REF.paywalledContent, REF.cloaking]
+  },
+  next_data_extracted: {
+    rootCause: 'The framework hydration state (__NEXT_DATA__) contains the full article, even though the rendered page shows a teaser.',
+    fix: 'Decide entitlement in getServerSideProps / the data loader and pass only teaser fields to the page props for anonymous users; never rely on the client component to hide the body.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  nuxt_state: {
+    rootCause: 'The Nuxt payload (__NUXT__ / __NUXT_DATA__) serialises the full article into the anonymous page.',
+    fix: 'Check entitlement in the server route / useAsyncData handler and return only teaser fields to anonymous users; the payload ships whatever the loader returns.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  apollo_state: {
+    rootCause: 'The server-side Apollo cache (__APOLLO_STATE__) is extracted into the page with the article body resolved for an anonymous visitor.',
+    fix: 'Resolve the body field only for entitled requests in the GraphQL resolver (not in the component), or leave it out of the SSR query for anonymous users.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  redux_state: {
+    rootCause: 'The Redux preloaded state (__PRELOADED_STATE__ / __INITIAL_STATE__) contains the full article for anonymous visitors.',
+    fix: 'Populate the article slice with teaser fields only until the server has verified the subscription; never store the gated body in state sent to anonymous users.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  remix_context: {
+    rootCause: 'The Remix loader data in __remixContext carries the full article, even though the rendered route shows a teaser.',
+    fix: 'Check entitlement inside the loader and return only teaser fields to anonymous users; loader output is serialised to the client verbatim.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  sveltekit_data: {
+    rootCause: 'SvelteKit inlines server-side fetch responses (data-sveltekit-fetched) and load data that include the full article.',
+    fix: 'Gate the body in the server load function / API and return teaser fields to anonymous users; anything fetched during SSR is inlined into the page.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  astro_props: {
+    rootCause: 'An Astro island receives the full article as props, which are serialised into the anonymous HTML.',
+    fix: 'Pass only teaser fields to hydrated islands for anonymous users and render the gated body on the server after the entitlement check.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  fusion_content: {
+    rootCause: 'Arc XP Fusion.globalContent includes the full content_elements of a gated story in the anonymous page.',
+    fix: 'Filter content_elements in the content source / resolver for anonymous requests (or enable server-side paywall filtering) so only teaser elements reach Fusion.globalContent.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  entitlement_replay: {
+    rootCause: 'The article API returns the premium body when replayed without a valid entitlement (no session, client-supplied entitlement flags or another article id), so access is decided by the client.',
+    fix: 'Authorize every article/GraphQL request on the server from the session alone: look up the subscription for the requested object id, ignore client-supplied entitlement headers, parameters and variables, and return teaser fields otherwise.',
+    references: [REF.bola, REF.cwe285, REF.cwe602]
+  },
+  graphql_anonymous_body: {
+    rootCause: 'A GraphQL query resolves the article body field for callers without a session; the page hides it, the API does not.',
+    fix: 'Authorize the body field in its resolver (or with a field-level directive) against the server-side subscription, returning null or the teaser for anonymous callers.',
+    references: [REF.bola, REF.cwe285]
+  },
+  graphql_introspection: {
+    rootCause: 'Introspection is enabled on the production GraphQL endpoint, exposing every type and field, including body and entitlement fields.',
+    fix: 'Disable introspection in production (or restrict it to authenticated internal clients) and allow-list persisted queries for public clients.',
+    references: [REF.cwe200]
+  },
+  cache_public_premium: {
+    rootCause: 'A response carrying the full article is marked cacheable by shared caches (public / s-maxage / CDN-Cache-Control), so a CDN can serve it to any visitor.',
+    fix: 'Send Cache-Control: private, no-store (and no CDN-Cache-Control / Surrogate-Control TTL) on entitled responses, or cache only the teaser variant and assemble the body per request after the entitlement check.',
+    references: [REF.cacheControl, REF.cwe200]
+  },
+  cache_vary_missing: {
+    rootCause: 'The origin returns different article variants per User-Agent or Cookie, but the cacheable response does not declare that dimension in Vary.',
+    fix: 'Add the dimension to Vary (or to the CDN cache key), or mark the varying responses private; better, stop varying gated content on client-controlled headers.',
+    references: [REF.cacheControl, REF.cwe200]
+  },
+  cache_crawler_leak: {
+    rootCause: 'The full article served to crawler user agents is shared-cacheable without Vary: User-Agent, so the cached crawler copy can be served to anonymous visitors.',
+    fix: 'Never cache crawler variants in shared caches (Cache-Control: private or a separate cache key for verified crawlers) and verify crawlers by reverse DNS before serving the body.',
+    references: [REF.cacheControl, REF.verifyGooglebot, REF.cloaking]
+  },
+  amp_unhide: {
+    rootCause: 'The AMP version of the article is rendered with the full body and hides it client-side (or not at all).',
+    fix: 'Gate AMP pages server-side with amp-subscriptions and an authorization endpoint; serve the premium section only after the entitlement response.',
+    references: [REF.ampSubscriptions, REF.paywalledContent]
+  },
+  ua_referer_bypass: {
+    rootCause: 'The origin returns the full article based on the User-Agent or Referer header, which any client can spoof.',
+    fix: 'Verify crawlers by reverse DNS / published IP ranges instead of the User-Agent, and never grant access based on Referer; otherwise serve the same gated HTML to everyone.',
+    references: [REF.verifyGooglebot, REF.cloaking, REF.cwe285]
+  },
+  alt_view: {
+    rootCause: 'A print/share/AMP URL variant renders the article without the paywall.',
+    fix: 'Route every view parameter through the same entitlement middleware, or drop unused variants.',
+    references: [REF.cwe285]
+  },
+  xhr_json: {
+    rootCause: 'An API called by the page returns the full article body to anonymous sessions.',
+    fix: 'Check entitlement on the API server-side for every request (session or token), not via a client flag; return teaser fields otherwise.',
+    references: [REF.bola, REF.cwe285]
+  },
+  xhr_fragment: {
+    rootCause: 'An HTML fragment/partial endpoint used by the page returns the full article.',
+    fix: 'Apply the paywall check inside the fragment endpoint, not only on the main article route.',
+    references: [REF.cwe285]
+  },
+  xhr_refetch: {
+    rootCause: 'A fragment or API URL returns the full article when fetched directly, without the browser session.',
+    fix: 'Require a valid entitlement on the endpoint itself and make sure shared caches do not store entitled responses.',
+    references: [REF.cwe285, REF.cacheControl]
+  },
+  dom_article: {
+    rootCause: 'The full article is delivered in the HTML and hidden with CSS/JS; the paywall is purely cosmetic.',
+    fix: 'Truncate the body server-side for non-entitled sessions; inject the rest only after a server-side entitlement check.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  client_side_overlay: {
+    rootCause: 'The full article is delivered to anonymous visitors and hidden in the browser (overlay, scroll lock, max-height / blur), so the paywall is cosmetic.',
+    fix: 'Gate the body server-side: send only the teaser to anonymous users and load the rest after an entitlement check; keep the overlay as presentation only.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  overlay_coverage: {
+    rootCause: 'The paywall is an overlay drawn over content the browser has already rendered; hiding it with CSS reveals the article region measured in the screenshot diff.',
+    fix: 'Stop sending the gated body to anonymous users and render only the teaser server-side; an overlay is presentation, not access control.',
+    references: [REF.cwe602, REF.cwe200]
+  },
+  archive_bypass: {
+    rootCause: 'Archive crawlers receive the full article and publish a snapshot.',
+    fix: 'Serve archive crawlers the same gated HTML as anonymous users, or request exclusion from the archive service.',
+    references: [REF.cwe200]
+  },
+  service_worker: {
+    rootCause: 'A Service Worker is registered; it can cache premium responses or rewrite requests on the client (informational).',
+    fix: 'Make sure the worker never caches entitled article responses and that cached entries are purged on logout.',
+    references: [REF.serviceWorker]
+  },
+  print_css: {
+    rootCause: 'A print stylesheet exists; if the body is in the DOM, printing can reveal gated text (informational).',
+    fix: 'Do not rely on screen-only CSS to hide gated text; keep the body out of the DOM for non-entitled users.',
+    references: [REF.cwe602]
+  },
+  meter_client_side: {
+    rootCause: 'The metered-paywall count lives in a client store (cookie, web storage, IndexedDB or Cache Storage); clearing that store restores free views.',
+    fix: 'Keep the meter server-side (account, or a signed device token checked against server state) and decide on the server whether the article body is sent; treat client storage as a display hint only.',
+    references: [REF.cwe602]
+  },
+  global_flags: {
+    rootCause: 'Metering/entitlement state is exposed as window globals that the client can change (informational).',
+    fix: 'Treat client-side entitlement flags as display hints only; enforce access on the server.',
+    references: [REF.cwe602]
+  },
+  blocked_scripts: {
+    rootCause: 'The paywall depends on third-party scripts; blocking them leaves the page ungated.',
+    fix: 'Do not ship the gated body to clients that have not been authorized by the server; the script should only render the offer.',
+    references: [REF.cwe602]
+  },
+  script_injection: {
+    rootCause: 'Entitlement decisions are read from mutable client-side objects.',
+    fix: 'Have the server decide what content is sent; client objects should only reflect that decision.',
+    references: [REF.cwe602]
+  },
+  cookie_reset: {
+    rootCause: 'Article metering is counted in client storage, which users can clear.',
+    fix: 'Count metered views server-side (account, signed token or device fingerprint with server state).',
+    references: [REF.cwe602]
+  },
+  paywall_provider: {
+    rootCause: 'Identifies the paywall vendor (informational).',
+    fix: 'Review the vendor\'s server-side integration guide and make sure content is gated at the origin, not only by the vendor script.',
+    references: []
+  }
+};
 
-  /* --- Cookie domain testing --- */
-  let cookieDomain = null;
-  try {
-    cookieDomain = await page.evaluate((hostname) => {
-      let domain = hostname;
-      let n = 0;
-      let parts = hostname.split('.');
-      let str = '_gd' + Date.now();
-      while (n < (parts.length - 1) && document.cookie.indexOf(str + '=' + str) === -1) {
-        domain = parts.slice(-1 - (++n)).join('.');
-        document.cookie = str + "=" + str + ";domain=" + domain + ";";
-      }
-      document.cookie = str + "=;expires=Thu, 01 Jan 1970 00:00:01 GMT;domain=" + domain + ";";
-      return domain;
-    }, new URL(CFG.url).hostname);
-    if (cookieDomain) {
-      findings.push({
-        id: 'cookie_domain',
-        title: 'Detected effective cookie domain',
-        severity: 'Info',
-        evidence: { domain: cookieDomain }
-      });
-    }
-  } catch {}
+/* Remediation entries for the finding ids present in a report */
+function remediationFor(findings) {
+  const out = {};
+  for (const f of findings) if (REMEDIATION[f.id] && !out[f.id]) out[f.id] = REMEDIATION[f.id];
+  return out;
+}
 
-  /* --- Dynamic content watching --- */
-  try {
-    await page.evaluate((sels, overlays) => {
-      new MutationObserver((mutations) => {
-        for (const mutation of mutations) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === 1) {
-              if (overlays.some(sel => node.matches(sel))) {
-                node.remove();
-              }
-              if (sels.some(sel => node.matches(sel))) {
-                node.style.display = '';
-                node.classList.remove('meteredContent', 'composer-content');
-              }
-            }
-          }
-        }
-      }).observe(document.body, { childList: true, subtree: true });
-    }, SELECTORS, OVERLAYS);
-    findings.push({
-      id: 'dynamic_watcher',
-      title: 'Activated dynamic content monitoring',
-      severity: 'Medium'
-    });
-    console.log(`👁️  Dynamic content watcher active`);
-  } catch {}
+function remediationMarkdown(remediation) {
+  return Object.entries(remediation).flatMap(([id, r]) => [
+    `### ${id}`,
+    '',
+    `**Root cause:** ${r.rootCause}`,
+    '',
+    `**Recommended fix:** ${r.fix}`,
+    ...(r.references.length ? ['', '**References:**', ...r.references.map(ref => `- [${ref.title}](${ref.url})`)] : []),
+    ''
+  ]);
+}
 
-  /* --- Inject override scripts --- */
-  try {
-    await page.evaluate(() => {
-      if (window.Fusion) window.Fusion.globalContent.isPremium = false;
-      if (window.piano) window.piano.user.isSubscribed = true;
-      if (window.poool) window.poool.user.hasAccess = true;
-    });
-    await page.waitForTimeout(500);
-    findings.push({
-      id: 'script_injection',
-      title: 'Injected global overrides',
-      severity: 'Medium'
-    });
-    console.log(`Injected global overrides`);
-  } catch {}
+/* --------------------------- Report formats ----------------------- */
 
-  /* --- Cookie reset cycles --- */
-  try {
-    for (let i = 0; i < 3; i++) {
-      await page.evaluate(() => localStorage.clear());
-      await page.evaluate(() => sessionStorage.clear());
-      await page.reload({ waitUntil: 'domcontentloaded' });
-      await page.waitForTimeout(500);
-    }
-    findings.push({
-      id: 'cookie_reset',
-      title: 'Completed cookie reset cycles',
-      severity: 'Medium'
-    });
-    console.log(`Completed ${3} cookie reset cycles`);
-  } catch {}
+/*
+ * report.html — single file for disclosure tickets: screenshots inlined as data URIs,
+ * severity filter, expandable evidence and teaser vs. exposed word counts.
+ */
+function toHtmlReport({ report, teaserWords, exposedWords, screenshots, jsonProbes }) {
+  const sevs = ['Critical', 'High', 'Medium', 'Low', 'Info'];
+  const counts = Object.fromEntries(sevs.map(s => [s, report.findings.filter(f => f.severity === s).length]));
+  const headersFor = (f) => {
+    const key = f.evidence?.path || f.evidence?.url;
+    return key ? jsonProbes.find(p => p.path === key)?.headers : null;
+  };
+  const maxWords = Math.max(teaserWords, ...Object.values(exposedWords), 1);
+  const bar = (n) => `<span class="bar" style="width:${Math.max(1, Math.round(n / maxWords * 100))}%"></span>`;
+
+  const rows = report.findings.map((f, i) => {
+    const words = f.evidence?.contentPath ? exposedWords[f.evidence.contentPath] : null;
+    const headers = headersFor(f);
+    const evidence = [
+      f.evidence?.url || f.evidence?.path ? `<p><b>Request:</b> <code>${xmlEscape(f.evidence.url || f.evidence.path)}</code></p>` : '',
+      f.evidence?.sha256 ? `<p><b>SHA-256:</b> <code>${xmlEscape(f.evidence.sha256)}</code></p>` : '',
+      f.evidence?.contentPath ? `<p><b>Content:</b> <code>${xmlEscape(f.evidence.contentPath)}</code></p>` : '',
+      f.evidence?.htmlSignals ? `<p><b>htmlSignals</b></p><pre>${xmlEscape(JSON.stringify(f.evidence.htmlSignals, null, 2))}</pre>` : '',
+      headers ? `<p><b>Response headers</b></p><pre>${xmlEscape(JSON.stringify(headers, null, 2))}</pre>` : '',
+      `<p><b>Evidence</b></p><pre>${xmlEscape(JSON.stringify(f.evidence || {}, null, 2))}</pre>`,
+      REMEDIATION[f.id] ? `<p><b>Root cause:</b> ${xmlEscape(REMEDIATION[f.id].rootCause)}</p><p><b>Recommended fix:</b> ${xmlEscape(REMEDIATION[f.id].fix)}</p>` +
+        REMEDIATION[f.id].references.map(ref => `<p>↗ <a href="${xmlEscape(ref.url)}">${xmlEscape(ref.title)}</a></p>`).join('') : ''
+    ].join('');
+    return `<tr data-sev="${f.severity}">
+  <td><span class="sev sev-${f.severity}">${f.severity}</span></td>
+  <td><code>${xmlEscape(f.id)}</code></td>
+  <td>${xmlEscape(f.title)}<details id="f${i}"><summary>Evidence</summary>${evidence}</details></td>
+  <td class="num">${words != null ? words : ''}</td>
+  <td class="num">${f.evidence?.leakPct != null ? `${f.evidence.leakPct}%` : ''}</td>
+</tr>`;
+  }).join('\n');
+
+  const exposure = Object.entries(exposedWords).map(([file, n]) => `<tr>
+  <td><code>${xmlEscape(file)}</code></td>
+  <td class="num">${n}</td><td class="cmp">${bar(n)}</td>
+  <td class="num">${teaserWords ? `×${(n / teaserWords).toFixed(1)}` : ''}</td>
+</tr>`).join('\n');
+
+  const shots = screenshots.map(s => `<figure><a href="${s.data}" target="_blank"><img src="${s.data}" alt="${xmlEscape(s.name)}"></a><figcaption>${xmlEscape(s.name)}</figcaption></figure>`).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Smoke Report — ${xmlEscape(report.target)}</title>
+<style>
+  body { font: 14px/1.45 system-ui, sans-serif; margin: 2rem auto; max-width: 1200px; padding: 0 1rem; color: #1d1d1f; }
+  h1 { font-size: 1.4rem; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; margin: .5rem 0 1.5rem; }
+  th, td { border-bottom: 1px solid #e3e3e3; padding: .4rem .5rem; text-align: left; vertical-align: top; }
+  td.num { text-align: right; white-space: nowrap; }
+  td.cmp { width: 40%; }
+  .bar { display: inline-block; height: .8rem; background: #3b6fd8; border-radius: 2px; }
+  .bar.teaser { background: #999; }
+  pre { background: #f6f6f6; padding: .5rem; overflow: auto; max-height: 320px; font-size: 12px; }
+  .sev { padding: .1rem .45rem; border-radius: 3px; color: #fff; font-size: 12px; }
+  .sev-Critical { background: #8e0b0b; } .sev-High { background: #d33b2c; } .sev-Medium { background: #d98c12; }
+  .sev-Low { background: #4d8f3a; } .sev-Info { background: #6b7785; }
+  .filters label { margin-right: 1rem; }
+  .meta { color: #555; }
+  figure { display: inline-block; width: 31%; margin: 0 1% 1rem 0; vertical-align: top; }
+  figure img { width: 100%; max-height: 420px; object-fit: cover; object-position: top; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<h1>Smoke Report — ${xmlEscape(report.target)}</h1>
+<p class="meta">Generated ${xmlEscape(report.generatedAt)} · Engagement ${xmlEscape(report.scope.engagementId)} (${xmlEscape(report.scope.tester)}) · valid ${xmlEscape(report.scope.validFrom)} → ${xmlEscape(report.scope.validUntil)} · ${report.scope.blockedRequests} out-of-scope requests blocked</p>
+
+<h2>Findings</h2>
+<div class="filters">${sevs.map(s => `<label><input type="checkbox" value="${s}" checked> <span class="sev sev-${s}">${s}</span> ${counts[s]}</label>`).join('')}</div>
+<table id="findings">
+<thead><tr><th>Severity</th><th>ID</th><th>Title</th><th>Exposed words</th><th>Premium leaked</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="5">No findings</td></tr>'}
+</tbody>
+</table>
+
+<h2>Teaser vs. exposed content</h2>
+<table>
+<thead><tr><th>Source</th><th>Words</th><th></th><th>vs. teaser</th></tr></thead>
+<tbody>
+<tr><td>Teaser (anonymous page)</td><td class="num">${teaserWords}</td><td class="cmp"><span class="bar teaser" style="width:${Math.max(1, Math.round(teaserWords / maxWords * 100))}%"></span></td><td></td></tr>
+${exposure}
+</tbody>
+</table>
+
+<h2>Screenshots</h2>
+${shots || '<p>No screenshots captured.</p>'}
+
+<script>
+  document.querySelectorAll('.filters input').forEach(cb => cb.addEventListener('change', () => {
+    const on = new Set([...document.querySelectorAll('.filters input:checked')].map(x => x.value));
+    document.querySelectorAll('#findings tbody tr[data-sev]').forEach(tr => { tr.hidden = !on.has(tr.dataset.sev); });
+  }));
+</script>
+</body>
+</html>
+`;
+}
 
-  /* --- Reader mode emulation --- */
-  try {
-    const readerCss = `
-      body { font-family: serif; font-size: 18px; max-width: 800px; margin: 0 auto; }
-      .paywall, [class*="subscribe"], [id*="gate"], [class*="premium"], .meteredContent { 
-        display: none !important; 
-      }
-      article, main, .content, .article-body { 
-        display: block !important; 
-        overflow: visible !important; 
-        max-height: none !important;
-      }
-      .composer-content { visibility: visible !important; }
-    `;
-    await page.addStyleTag({ content: readerCss });
-    await page.waitForTimeout(500);
-    findings.push({
-      id: 'reader_mode',
-      title: 'Applied reader mode CSS',
-      severity: 'Medium'
-    });
-    console.log(`Reader mode CSS applied`);
-  } catch {}
+const REPORT_FORMATS = {
+  sarif: { file: 'report.sarif', render: (report) => JSON.stringify(toSarif(report, REMEDIATION), null, 2) },
+  junit: { file: 'report.junit.xml', render: (report, probeRuns) => toJunit(report, probeRuns, CFG.failOn) }
+};
 
-  /* --- Baseline screenshot --- */
-  try { 
-    await page.screenshot({ path: path.join(shotsDir, '01_baseline.png'), fullPage: true }); 
-    console.log(`Baseline screenshot saved`);
-  } catch {}
+/* ------------------------------ Diff ------------------------------ */
 
-  /* --- AMP unhide detection --- */
-  try {
-    const ampHtml = await page.evaluate(() => document.querySelector('link[rel="amphtml"]')?.href);
-    if (ampHtml) {
-      const ampRes = await fetchText(ampHtml, { ua: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)' });
-      if (ampRes.text) {
-        const sig = analyzeHtmlContent(ampRes.text, teaserLength);
-        if (sig.articleLike) {
-          const contentPath = path.join(contentDir, 'amp_unhide.html');
-          await writeText(contentPath, ampRes.text);
-          findings.push({
-            id: 'amp_unhide',
-            title: 'Full AMP content extracted',
-            severity: 'High',
-            evidence: { url: ampHtml, contentPath: contentPath.replace(targetOut + '/', '') }
-          });
-          console.log(`⚡ AMP content found: ${sig.wordCount} words`);
-        }
-      }
+/*
+ * smoke-paywall.js diff <runA> <runB> [--fail-on High] [--out dir]
+ * A run is either a run directory (one sub-folder per target) or a single target folder.
+ * Findings match on id + evidence url/path/selector. Exit code 1 when a finding at or
+ * above --fail-on is new in runB (or escalated into that range), 2 on bad input.
+ */
+function loadRunReports(dir) {
+  const read = (fp) => JSON.parse(fs.readFileSync(fp, 'utf8'));
+  const reports = new Map();
+  if (fs.existsSync(path.join(dir, 'report.json'))) {
+    const r = read(path.join(dir, 'report.json'));
+    reports.set(r.target, r);
+    return reports;
+  }
+  for (const sub of fs.readdirSync(dir)) {
+    const fp = path.join(dir, sub, 'report.json');
+    if (!fs.existsSync(fp)) continue;
+    const r = read(fp);
+    reports.set(r.target, r);
+  }
+  return reports;
+}
+
+function diffFindings(before, after) {
+  const index = (list) => {
+    const m = new Map();
+    for (const f of list) if (!m.has(findingKey(f))) m.set(findingKey(f), f);
+    return m;
+  };
+  const a = index(before);
+  const b = index(after);
+  const out = { new: [], resolved: [], changed: [] };
+  for (const [key, f] of b) {
+    const old = a.get(key);
+    if (!old) { out.new.push({ key, finding: f }); continue; }
+    const changes = {};
+    if (old.severity !== f.severity) changes.severity = { before: old.severity, after: f.severity };
+    if (old.title !== f.title) changes.title = { before: old.title, after: f.title };
+    const wBefore = old.evidence?.htmlSignals?.wordCount;
+    const wAfter = f.evidence?.htmlSignals?.wordCount;
+    if ((wBefore != null || wAfter != null) && wBefore !== wAfter) {
+      changes.wordCount = { before: wBefore ?? null, after: wAfter ?? null, delta: (wAfter || 0) - (wBefore || 0) };
+    }
+    if (Object.keys(changes).length) out.changed.push({ key, finding: f, changes });
+  }
+  for (const [key, f] of a) if (!b.has(key)) out.resolved.push({ key, finding: f });
+  return out;
+}
+
+function diffMarkdown(result) {
+  const rows = [];
+  for (const t of result.targets) {
+    for (const n of t.new) rows.push(`| new | ${t.target} | ${n.finding.id} | **${n.finding.severity}** | ${n.finding.title} |`);
+    for (const c of t.changed) {
+      const parts = [];
+      if (c.changes.severity) parts.push(`severity ${c.changes.severity.before} → ${c.changes.severity.after}`);
+      if (c.changes.wordCount) parts.push(`words ${c.changes.wordCount.before ?? '-'} → ${c.changes.wordCount.after ?? '-'} (${c.changes.wordCount.delta >= 0 ? '+' : ''}${c.changes.wordCount.delta})`);
+      if (c.changes.title && !parts.length) parts.push('title changed');
+      rows.push(`| changed | ${t.target} | ${c.finding.id} | **${c.finding.severity}** | ${parts.join('; ')} |`);
     }
-  } catch {}
+    for (const r of t.resolved) rows.push(`| resolved | ${t.target} | ${r.finding.id} | ${r.finding.severity} | ${r.finding.title} |`);
+  }
+  return [
+    '# Smoke Diff',
+    '',
+    `**Before:** ${result.before}`,
+    `**After:** ${result.after}`,
+    `**New:** ${result.totals.new} | **Resolved:** ${result.totals.resolved} | **Changed:** ${result.totals.changed}`,
+    `**Gate:** ${result.failed ? `FAILED — ${result.regressions} new finding(s) at ${result.failOn} or above` : 'passed'}`,
+    '',
+    '| Change | Target | ID | Severity | Details |',
+    '|--------|--------|----|----------|---------|',
+    ...rows,
+    ...(result.targetsOnlyBefore.length ? ['', `**Targets no longer scanned:** ${result.targetsOnlyBefore.join(', ')}`] : [])
+  ].join('\n');
+}
 
-  /* --- Alternative JSON URL probing --- */
+function runDiff([dirA, dirB], failOn, outDir) {
+  if (!dirA || !dirB) {
+    console.error('ERROR: usage: smoke-paywall.js diff <runA> <runB> [--fail-on High] [--out dir]');
+    return 2;
+  }
+  if (severityRank(failOn) > 4) {
+    console.error(`ERROR: --fail-on must be one of Critical, High, Medium, Low, Info`);
+    return 2;
+  }
+  let before, after;
   try {
-    const jsonUrlCandidates = [
-      CFG.url + '?format=json',
-      CFG.url + '?view=json',
-      path.dirname(CFG.url) + '/wp-json/oembed/1.0/embed?url=' + encodeURIComponent(CFG.url),
-      CFG.url.replace('/post/', '/api/post/'),
-      CFG.url.replace('/article/', '/api/article/')
-    ];
-    
-    for (const jsonUrl of jsonUrlCandidates) {
-      const r = await fetchText(jsonUrl);
-      if (r.text) {
-        try {
-          const json = JSON.parse(r.text);
-          const articleText = findKeyJson(json, ARTICLE_KEYS_RX);
-          if (articleText && typeof articleText === 'string' && articleText.length > 1000) {
-            const cleaned = breakText(parseHtmlEntities(articleText));
-            const contentPath = path.join(contentDir, `json_url_${sha256(jsonUrl).slice(0, 8)}.txt`);
-            await writeText(contentPath, cleaned);
-            findings.push({
-              id: 'json_url',
-              title: 'Full content from JSON API',
-              severity: 'Critical',
-              evidence: { url: jsonUrl, contentPath: contentPath.replace(targetOut + '/', '') }
-            });
-            console.log(`🔗 JSON API success: ${articleText.length} chars`);
-            break;
-          }
-        } catch {}
-      }
+    before = loadRunReports(dirA);
+    after = loadRunReports(dirB);
+  } catch (e) {
+    console.error(`ERROR: cannot read runs: ${e.message}`);
+    return 2;
+  }
+  if (!before.size || !after.size) {
+    console.error(`ERROR: no report.json found in ${!before.size ? dirA : dirB}`);
+    return 2;
+  }
+
+  const targets = [];
+  for (const [target, report] of after) {
+    const d = diffFindings(before.get(target)?.findings || [], report.findings || []);
+    targets.push({ target, ...d });
+  }
+  const isRegression = (f, from) => severityRank(f.severity) <= severityRank(failOn) &&
+    (from === undefined || severityRank(from) > severityRank(failOn));
+  const regressions = targets.reduce((n, t) => n +
+    t.new.filter(x => isRegression(x.finding)).length +
+    t.changed.filter(x => x.changes.severity && isRegression(x.finding, x.changes.severity.before)).length, 0);
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    before: path.resolve(dirA),
+    after: path.resolve(dirB),
+    failOn,
+    totals: {
+      new: targets.reduce((n, t) => n + t.new.length, 0),
+      resolved: targets.reduce((n, t) => n + t.resolved.length, 0),
+      changed: targets.reduce((n, t) => n + t.changed.length, 0)
+    },
+    regressions,
+    failed: regressions > 0,
+    targetsOnlyBefore: [...before.keys()].filter(t => !after.has(t)),
+    targets
+  };
+
+  const rows = [];
+  for (const t of targets) {
+    for (const n of t.new) rows.push(['new', short(t.target, 60), n.finding.id, n.finding.severity, '']);
+    for (const c of t.changed) {
+      rows.push(['changed', short(t.target, 60), c.finding.id,
+        c.changes.severity ? `${c.changes.severity.before} → ${c.changes.severity.after}` : c.finding.severity,
+        c.changes.wordCount ? `${c.changes.wordCount.delta >= 0 ? '+' : ''}${c.changes.wordCount.delta}` : '']);
     }
-  } catch {}
+    for (const r of t.resolved) rows.push(['resolved', short(t.target, 60), r.finding.id, r.finding.severity, '']);
+  }
+  console.log(`Diff ${result.before} → ${result.after}`);
+  console.log(table(rows.map((r, i) => [i + 1, ...r]), ['#', 'Change', 'Target', 'ID', 'Severity', 'Δ words']));
+  console.log(`New: ${result.totals.new}, resolved: ${result.totals.resolved}, changed: ${result.totals.changed}`);
+
+  if (outDir) {
+    ensureDir(outDir);
+    fs.writeFileSync(path.join(outDir, 'diff.json'), JSON.stringify(result, null, 2), 'utf8');
+    fs.writeFileSync(path.join(outDir, 'diff.md'), diffMarkdown(result), 'utf8');
+    console.log(`Diff report: ${path.join(outDir, 'diff.md')}`);
+  }
 
-  /* --- XHR Response Monitoring --- */
-  page.on('response', async (resp) => {
+  if (result.failed) {
+    console.log(`❌ ${regressions} new finding(s) at ${failOn} or above`);
+    return 1;
+  }
+  console.log('✅ No new findings at or above ' + failOn);
+  return 0;
+}
+
+/* --------------------------- Network capture ---------------------- */
+
+/*
+ * Service workers are blocked (their requests bypass the scope guard); registration attempts
+ * are still recorded in window.__smokeSwRegistrations for the service_worker probe. The
+ * accessor survives Playwright replacing `register` before or after this script runs.
+ */
+const SW_HOOK = `(() => {
+  const sw = navigator.serviceWorker;
+  if (!sw) return;
+  const calls = window.__smokeSwRegistrations = [];
+  let inner = sw.register;
+  Object.defineProperty(sw, 'register', {
+    configurable: true,
+    get: () => function (url, opts) {
+      calls.push({ script: String(url), scope: (opts && opts.scope) || null });
+      return inner.apply(this, arguments);
+    },
+    set: (fn) => { inner = fn; }
+  });
+})();`;
+
+/*
+ * Document-start hooks: wrap fetch, XHR, WebSocket and sendBeacon before any page script
+ * runs and report each call (URL, method, caller stack) through the __smokeNet binding.
+ */
+const NETWORK_HOOKS = `(() => {
+  const report = (type, url, extra) => {
     try {
-      const req = resp.request();
-      const url = req.url();
-      const method = req.method();
-      const status = resp.status();
-      const ct = (resp.headers()['content-type'] || '').toLowerCase();
+      const stack = (new Error().stack || '').split('\\n').slice(2, 8).map(s => s.trim());
+      window.__smokeNet({ type, url: String(url), t: Math.round(performance.now()), stack, ...extra });
+    } catch {}
+  };
+  if (window.fetch) {
+    window.fetch = new Proxy(window.fetch, { apply(fn, self, args) {
+      const [input, init] = args;
+      report('fetch', (input && input.url) || input, { method: (init && init.method) || (input && input.method) || 'GET' });
+      return Reflect.apply(fn, self, args);
+    } });
+  }
+  if (window.XMLHttpRequest) {
+    const open = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url) {
+      report('xhr', url, { method });
+      return open.apply(this, arguments);
+    };
+  }
+  if (window.WebSocket) {
+    window.WebSocket = new Proxy(window.WebSocket, { construct(fn, args) {
+      report('websocket', args[0], {});
+      return Reflect.construct(fn, args);
+    } });
+  }
+  if (navigator.sendBeacon) {
+    navigator.sendBeacon = new Proxy(navigator.sendBeacon, { apply(fn, self, args) {
+      report('beacon', args[0], { method: 'POST' });
+      return Reflect.apply(fn, navigator, args);
+    } });
+  }
+})();`;
 
-      if (!/json|graphql|html|text\/html/.test(ct)) return;
+/* CDP resource types worth keeping (document/script/image traffic is left out) */
+const CDP_TYPES = new Set(['XHR', 'Fetch', 'WebSocket', 'Ping', 'EventSource']);
 
-      let content = null;
-      try {
-        content = await resp.text();
-      } catch {}
+function callFrames(stack) {
+  const frames = [];
+  for (let st = stack; st && frames.length < 8; st = st.parent) {
+    for (const f of st.callFrames || []) {
+      frames.push(`${f.functionName || '<anonymous>'} ${f.url}:${f.lineNumber + 1}:${f.columnNumber + 1}`);
+      if (frames.length >= 8) break;
+    }
+  }
+  return frames;
+}
+
+/* Response bodies buffered for late subscribers: per-body and total caps keep long runs bounded */
+const CAPTURE_LIMITS = { bodyBytes: 2 * 1024 * 1024, responses: 500 };
+
+/*
+ * Attaches the document-start hooks, a CDP Network session and a response listener before
+ * the first navigation. `phase` tags every record with the step that was running (teaser,
+ * probe id). Responses with JSON/HTML bodies are buffered and replayed to late subscribers
+ * (xhr_monitor), so the initial entitlement/meter calls are not missed.
+ *
+ * `attach(context, via)` adds the hooks and a CDP session per page (popups included) to the
+ * other scoped contexts; their records carry `context: via`. Only the main page's responses
+ * are buffered. Worker requests have no page session and are missing from the CDP log (the
+ * scope guard still sees them).
+ */
+async function startNetworkCapture(context, page, notes) {
+  const capture = { phase: 'teaser', hooks: [], requests: [], responses: [], listeners: [], droppedResponses: 0 };
+  capture.onResponse = (fn) => {
+    capture.listeners.push(fn);
+    for (const r of capture.responses) fn(r);
+  };
 
+  const attachCdp = async (target, via) => {
+    const cdp = await target.context().newCDPSession(target);
+    await cdp.send('Network.enable');
+    const byId = new Map();
+    cdp.on('Network.requestWillBeSent', (e) => {
+      if (!CDP_TYPES.has(e.type)) return;
       const rec = {
-        url,
-        method,
-        status,
-        ct,
-        size_hint: content ? content.length : null,
-        sha256: content ? sha256(content) : null,
-        preview: CFG.noPreview ? undefined : short(content || '', 180),
-        topKeys: []
+        id: e.requestId,
+        type: e.type,
+        url: e.request.url,
+        method: e.request.method,
+        phase: capture.phase,
+        context: via,
+        startedAt: new Date(e.wallTime * 1000).toISOString(),
+        initiator: { type: e.initiator.type, url: e.initiator.url || null, stack: callFrames(e.initiator.stack) },
+        _t0: e.timestamp
       };
+      byId.set(e.requestId, rec);
+      capture.requests.push(rec);
+    });
+    cdp.on('Network.responseReceived', (e) => {
+      const rec = byId.get(e.requestId);
+      if (!rec) return;
+      rec.status = e.response.status;
+      rec.mimeType = e.response.mimeType;
+      if (e.response.timing) rec.ttfbMs = Math.round(e.response.timing.receiveHeadersEnd);
+    });
+    cdp.on('Network.loadingFinished', (e) => {
+      const rec = byId.get(e.requestId);
+      if (!rec) return;
+      rec.durationMs = Math.round((e.timestamp - rec._t0) * 1000);
+      rec.bytes = e.encodedDataLength;
+    });
+    cdp.on('Network.loadingFailed', (e) => {
+      const rec = byId.get(e.requestId);
+      if (!rec) return;
+      rec.durationMs = Math.round((e.timestamp - rec._t0) * 1000);
+      rec.error = e.blockedReason || e.errorText;
+    });
+    cdp.on('Network.webSocketCreated', (e) => {
+      const rec = { id: e.requestId, type: 'WebSocket', url: e.url, phase: capture.phase, context: via, startedAt: new Date().toISOString(), initiator: { type: e.initiator?.type || null, url: e.initiator?.url || null, stack: callFrames(e.initiator?.stack) }, framesSent: 0, framesReceived: 0 };
+      byId.set(e.requestId, rec);
+      capture.requests.push(rec);
+    });
+    cdp.on('Network.webSocketFrameSent', (e) => { const rec = byId.get(e.requestId); if (rec) rec.framesSent++; });
+    cdp.on('Network.webSocketFrameReceived', (e) => { const rec = byId.get(e.requestId); if (rec) rec.framesReceived++; });
+  };
 
-      if (/json|graphql/.test(ct) && content) {
-        try {
-          const obj = JSON.parse(content);
-          if (obj && typeof obj === 'object') {
-            rec.topKeys = Object.keys(obj).slice(0, 10);
-            const articleText = findKeyJson(obj, ARTICLE_KEYS_RX);
-            if (articleText && typeof articleText === 'string' && articleText.length > 1000) {
-              const cleaned = breakText(parseHtmlEntities(articleText));
-              const contentPath = path.join(contentDir, `xhr_json_${sha256(url).slice(0, 8)}.txt`);
-              await writeText(contentPath, cleaned);
-              findings.push({
-                id: 'xhr_json',
-                title: 'Full article from XHR JSON',
-                severity: 'High',
-                evidence: { url, contentPath: contentPath.replace(targetOut + '/', '') }
-              });
-              console.log(`XHR JSON hit: ${articleText.length} chars`);
-            }
-          }
-        } catch {}
-      }
+  capture.attach = async (c, via, first = null) => {
+    try {
+      await c.exposeBinding('__smokeNet', (source, rec) => {
+        capture.hooks.push({ ...rec, frame: source.frame ? source.frame.url() : null, phase: capture.phase, context: via, at: new Date().toISOString() });
+      });
+      await c.addInitScript(NETWORK_HOOKS);
+    } catch (e) {
+      notes.push(`[network] init hooks unavailable (${via}): ${String(e).slice(0, 200)}`);
+    }
+    const onPage = (p) => attachCdp(p, via).catch(e => notes.push(`[network] CDP unavailable (${via}): ${String(e).slice(0, 200)}`));
+    c.on('page', onPage);
+    for (const p of first ? [first] : c.pages()) await onPage(p);
+  };
 
-      if (/html/.test(ct) && content) {
-        const sig = analyzeHtmlContent(content, teaserLength);
-        Object.assign(rec, { htmlSignals: sig });
-
-        if (sig.articleLike) {
-          const contentPath = path.join(contentDir, `xhr_${sha256(url).slice(0, 16)}.html`);
-          await writeText(contentPath, content);
-          findings.push({
-            id: 'xhr_fragment',
-            title: `XHR fragment success (${sig.validationScore})`,
-            severity: 'High',
-            evidence: {
-              url,
-              ct,
-              htmlSignals: sig,
-              sha256: rec.sha256,
-              contentPath: contentPath.replace(targetOut + '/', '')
-            }
-          });
-          console.log(`🌐 XHR fragment: ${sig.wordCount} words (${sig.validationScore})`);
-        }
-      }
+  await capture.attach(context, 'browser', page);
 
-      xhrScan.push(rec);
+  page.on('response', async (resp) => {
+    try {
+      const ct = (resp.headers()['content-type'] || '').toLowerCase();
+      if (!/json|graphql|html/.test(ct)) return;
+      const req = resp.request();
+      let content = null;
+      try { content = await resp.text(); } catch {}
+      const bodyBytes = content ? Buffer.byteLength(content) : 0;
+      if (bodyBytes > CAPTURE_LIMITS.bodyBytes) content = Buffer.from(content).subarray(0, CAPTURE_LIMITS.bodyBytes).toString();
+      let requestHeaders = {};
+      try { requestHeaders = await req.allHeaders(); } catch {}
+      const r = {
+        url: req.url(),
+        method: req.method(),
+        status: resp.status(),
+        ct,
+        content,
+        phase: capture.phase,
+        resourceType: req.resourceType(),
+        requestHeaders,
+        postData: req.postData(),
+        ...(bodyBytes > CAPTURE_LIMITS.bodyBytes ? { truncated: true, bodyBytes } : {})
+      };
+      if (capture.responses.length < CAPTURE_LIMITS.responses) capture.responses.push(r);
+      else capture.droppedResponses++;
+      for (const fn of capture.listeners) fn(r);
     } catch {}
   });
 
-  /* --- Random UA/Referer rotation --- */
-  const uas = [
-    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
-    'Mozilla/5.0 (compatible; Bingbot/2.0; +http://www.bing.com/bingbot.htm)',
-    'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  ];
-  const referers = ['https://www.google.com/', 'https://www.facebook.com/', 'https://t.co/', 'https://twitter.com/'];
+  capture.log = () => ({
+    hooks: capture.hooks,
+    requests: capture.requests.map(({ _t0, ...rec }) => rec),
+    bufferedResponses: capture.responses.length,
+    droppedResponses: capture.droppedResponses
+  });
+  return capture;
+}
 
-  try {
-    for (const ua of uas) {
-      for (const referer of referers) {
-        const r = await fetchText(CFG.url, { ua, referer, timeout: 10000 });
-        if (r.text && r.status === 200) {
-          const sig = analyzeHtmlContent(r.text, teaserLength);
-          if (sig.articleLike) {
-            const contentPath = path.join(contentDir, `ua_referer_${sha256(ua + referer).slice(0, 16)}.html`);
-            await writeText(contentPath, r.text);
-            findings.push({
-              id: 'ua_referer_bypass',
-              title: `UA/Referer bypass success (${sig.validationScore})`,
-              severity: 'High',
-              evidence: { ua: short(ua), referer, contentPath: contentPath.replace(targetOut + '/', '') }
-            });
-            console.log(`🎭 UA/Referer success: ${sig.wordCount} words`);
-            break;
-          }
-        }
-      }
-      if (findings.some(f => f.id === 'ua_referer_bypass')) break;
-    }
-  } catch {}
+/* --------------------------- Rendered pages ----------------------- */
 
-  /* --- Archive bypass --- */
-  try {
-    console.log('Probing archive services...');
-    const archiveContent = await fetchArchiveContent(CFG.url);
-    if (archiveContent) {
-      const sig = analyzeHtmlContent(archiveContent, teaserLength);
-      if (sig.articleLike) {
-        const contentPath = path.join(contentDir, 'archive_bypass.html');
-        await writeText(contentPath, archiveContent);
-        findings.push({
-          id: 'archive_bypass',
-          title: `Archive bypass success (${sig.validationScore})`,
-          severity: 'Critical',
-          evidence: { contentPath: contentPath.replace(targetOut + '/', '') }
-        });
-        console.log(`🏆 Archive bypass: ${sig.wordCount} words`);
-      }
-    }
-  } catch {}
-
-  /* --- Alternative view probing --- */
-  const variantMakers = [
-    (u) => u.replace(/\/$/, '') + '/amp',
-    (u) => u + (u.includes('?') ? '&' : '?') + 'print=1',
-    (u) => u + (u.includes('?') ? '&' : '?') + 'share=1',
-    (u) => u + (u.includes('?') ? '&' : '?') + 'outputType=amp',
-    (u) => u + (u.includes('?') ? '&' : '?') + '_format=amp'
-  ];
-
-  for (const make of variantMakers) {
-    const v = make(CFG.url);
-    if (!v || v === CFG.url) continue;
-    const r = await fetchText(v, { headers: { 'Accept': 'text/html' }, timeout: 10000 });
-    const ct = (r.headers?.['content-type'] || '').toLowerCase();
-    const looksHtml = ct.includes('text/html') && (r.text || '').includes('<html');
-    if (!r.error && r.status === 200 && looksHtml) {
-      const sig = analyzeHtmlContent(r.text, teaserLength);
-      if (sig.articleLike) {
-        const contentPath = path.join(contentDir, `alt_view_${sha256(v).slice(0, 16)}.html`);
-        await writeText(contentPath, r.text);
-        altViews.push({ url: v, status: r.status, contentPath: contentPath.replace(targetOut + '/', '') });
-        findings.push({
-          id: 'alt_view',
-          title: `Alternative view success (${sig.validationScore})`,
-          severity: 'High',
-          evidence: { url: v, contentPath: contentPath.replace(targetOut + '/', '') }
-        });
-        console.log(`🔄 Alt view success: ${sig.wordCount} words`);
-      } else {
-        altViews.push({ url: v, status: r.status });
-      }
+/*
+ * Visible article text of a rendered page: the longest SELECTORS match (else <body>)
+ * plus the OVERLAYS selectors that are currently displayed (`paywallOverlays`: those that
+ * are not consent / recirculation layers).
+ */
+async function pageMetrics(page) {
+  const m = await page.evaluate(({ sels, overlays }) => {
+    let best = { sel: null, text: '' };
+    for (const s of sels) {
+      try {
+        const el = document.querySelector(s);
+        const t = el ? (el.innerText || '').trim() : '';
+        if (t.length > best.text.length) best = { sel: s, text: t };
+      } catch {}
     }
-  }
-
-  /* --- JSON endpoint probing --- */
-  const jsonCandidates = [
-    CFG.url + '.json',
-    CFG.url.replace('/pages/', '/articles/') + '.json',
-    CFG.url.replace('/pages/', '/api/pages/'),
-    CFG.url + '?view=json',
-    CFG.url + '?format=json',
-    path.dirname(CFG.url) + '/wp-json/wp/v2/posts/' + path.basename(CFG.url),
-    CFG.url + '?rest_route=/wp/v2/posts/' + path.basename(CFG.url)
-  ];
-  
-  const seen = new Set();
-  for (const p of jsonCandidates) {
-    if (!p || seen.has(p)) continue;
-    seen.add(p);
-    const r = await fetchText(p, { headers: { 'Accept': 'application/json' }, timeout: 10000 });
-    jsonProbes.push({ path: p, status: r.status, headers: r.headers, snippet: short(r.text, 240) });
-
-    if (r.error) continue;
-
-    const ct = (r.headers?.['content-type'] || '').toLowerCase();
-    if (ct.includes('application/json') || ct.includes('+json')) {
+    if (!best.text) best = { sel: null, text: ((document.body && document.body.innerText) || '').trim() };
+    const visible = [];
+    for (const s of overlays) {
       try {
-        const parsed = JSON.parse(r.text);
-        if (parsed && typeof parsed === 'object') {
-          const articleText = findKeyJson(parsed, ARTICLE_KEYS_RX);
-          if (articleText && typeof articleText === 'string' && articleText.length > 1000) {
-            const cleaned = breakText(parseHtmlEntities(articleText));
-            const contentPath = path.join(contentDir, `json_probe_${sha256(p).slice(0, 8)}.txt`);
-            await writeText(contentPath, cleaned);
-            findings.push({
-              id: 'public_json',
-              title: `Public JSON endpoint success (${articleText.length} chars)`,
-              severity: 'Critical',
-              evidence: { path: p, contentType: r.headers?.['content-type'], contentPath: contentPath.replace(targetOut + '/', '') }
-            });
-            console.log(`📄 JSON probe success: ${articleText.length} chars`);
-          }
-        }
+        const el = document.querySelector(s);
+        if (!el) continue;
+        const cs = getComputedStyle(el);
+        const r = el.getBoundingClientRect();
+        if (cs.display !== 'none' && cs.visibility !== 'hidden' && r.width > 0 && r.height > 0) visible.push(s);
       } catch {}
     }
-  }
+    return { sel: best.sel, text: best.text, overlays: visible };
+  }, { sels: HEURISTICS.SELECTORS, overlays: HEURISTICS.OVERLAYS });
+  if (!m) return { sel: null, text: '', overlays: [], paywallOverlays: [] };
+  return { ...m, paywallOverlays: m.overlays.filter(s => HEURISTICS.PAYWALL_OVERLAYS.includes(s)) };
+}
 
-  /* --- DOM Article Extraction --- */
-  let articleDom = { sel: null, len: 0, content: null };
-  try {
-    articleDom = await page.evaluate((sels) => {
-      let best = { sel: null, len: 0, content: null };
-      for (const s of sels) {
-        try {
-          const el = document.querySelector(s);
-          if (!el) continue;
-          const t = (el.innerText || '').trim();
-          if (t.length > best.len) best = { sel: s, len: t.length, content: el.innerHTML };
-        } catch {}
-      }
-      return best;
-    }, SELECTORS);
-    
-    if (articleDom.len > 500) { // Higher threshold
-      const contentHtml = articleDom.content || '';
-      const sig = analyzeHtmlContent(contentHtml, teaserLength);
-      if (sig.articleLike) {
-        const cleaned = breakText(parseHtmlEntities(contentHtml));
-        const contentPath = path.join(contentDir, 'dom_article.html');
-        await writeText(contentPath, cleaned);
-        findings.push({
-          id: 'dom_article',
-          title: `DOM article extraction success (${sig.validationScore})`,
-          severity: 'High',
-          evidence: { selector: articleDom.sel, length: articleDom.len, contentPath: contentPath.replace(targetOut + '/', '') }
-        });
-        console.log(`🏠 DOM extraction: ${sig.wordCount} words (${sig.validationScore})`);
-      }
-    }
-  } catch {}
+/* --------------------------- Subscriber baseline ------------------ */
 
-  /* --- JSON-LD and Next.js extraction --- */
+/*
+ * Loads the article in a separate context with the subscriber storageState and keeps
+ * the entitled body text (largest SELECTORS match, else <body>) as the leak reference.
+ */
+async function captureSubscriberBaseline(newScopedContext, targetUrl, targetOut, rawNotes, lang = null) {
+  let subContext;
   try {
-    const html = await page.content();
-
-    // JSON-LD extraction
-    let jsonLdContent = '';
-    let ldMatch;
-    while ((ldMatch = JSON_LD_RX.exec(html)) !== null) {
-      jsonLdContent += extractJsonContent(ldMatch[1]) + '\n\n';
-    }
-    if (jsonLdContent.length > 1000) {
-      const contentPath = path.join(contentDir, 'json_ld_extracted.txt');
-      await writeText(contentPath, jsonLdContent);
-      findings.push({
-        id: 'jsonld_extracted',
-        title: 'Full content from JSON-LD',
-        severity: 'High',
-        evidence: { contentPath: contentPath.replace(targetOut + '/', '') }
-      });
-      console.log(`💎 JSON-LD extraction: ${jsonLdContent.length} chars`);
+    subContext = await newScopedContext({ storageState: CFG.subscriberState }, 'subscriber');
+    const subPage = await subContext.newPage();
+    await subPage.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: CFG.timeout });
+    await subPage.waitForTimeout(1500);
+    const best = await pageMetrics(subPage);
+    const words = countWords(best.text, lang);
+    if (words < 150) {
+      rawNotes.push(`[subscriber] baseline too short (${words} words) — session expired? falling back to articleLike`);
+      console.log(`⚠️  Subscriber baseline only ${words} words; falling back to articleLike heuristics`);
+      return null;
     }
+    await writeText(path.join(targetOut, 'subscriber_baseline.txt'), best.text);
+    return {
+      text: best.text,
+      words,
+      selector: best.sel,
+      sha256: sha256(best.text),
+      contentPath: 'subscriber_baseline.txt',
+      shingles: shingles(best.text)
+    };
+  } catch (e) {
+    rawNotes.push(`[subscriber] error: ${String(e).slice(0, 200)}`);
+    return null;
+  } finally {
+    try { if (subContext) await subContext.close(); } catch {}
+  }
+}
 
-    // Next.js __NEXT_DATA__ extraction
-    let nextDataContent = '';
-    let nextMatch;
-    while ((nextMatch = NEXT_DATA_RX.exec(html)) !== null) {
-      nextDataContent += extractJsonContent(nextMatch[1], true) + '\n\n';
-    }
-    if (nextDataContent.length > 1000) {
-      const contentPath = path.join(contentDir, 'next_data_extracted.txt');
-      await writeText(contentPath, nextDataContent);
-      findings.push({
-        id: 'next_data_extracted',
-        title: 'Full content from Next.js data',
-        severity: 'High',
-        evidence: { contentPath: contentPath.replace(targetOut + '/', '') }
-      });
-      console.log(`⚛️ Next.js extraction: ${nextDataContent.length} chars`);
-    }
+/* ----------------------------- Main flow -------------------------- */
 
-    // JSON-LD count for reporting
-    const ldCount = await page.evaluate(() => {
-      let count = 0, body = 0;
-      for (const s of document.querySelectorAll('script[type="application/ld+json"]')) {
-        try {
-          const o = JSON.parse(s.textContent || '{}');
-          const arr = Array.isArray(o) ? o : [o];
-          for (const item of arr) {
-            if (item && typeof item === 'object' && String(item['@type'] || '').toLowerCase().includes('article')) {
-              count++;
-              if (item.articleBody) body++;
-            }
-          }
-        } catch {}
-      }
-      return { count, withBody: body };
-    });
-    if (ldCount.count) {
-      findings.push({
-        id: ldCount.withBody ? 'jsonld_article' : 'jsonld_present',
-        title: ldCount.withBody ? 'JSON-LD Article with body' : 'JSON-LD Article metadata only',
-        severity: ldCount.withBody ? 'High' : 'Info',
-        evidence: ldCount
-      });
-    }
-  } catch {}
+/* Findings / Requests / Time / Note cells of a probe run for the summary tables */
+function probeCells(p) {
+  if (p.status === 'skipped') return ['', '', '', short(p.note, 60)];
+  const req = p.requests.browser + p.requests.fetch;
+  const note = p.error || (p.requests.failed ? `${p.requests.failed} request(s) failed: ${p.requestErrors[0]}` : '');
+  return [String(p.findings), p.requests.failed ? `${req} (${p.requests.failed} failed)` : String(req), `${p.durationMs} ms`, short(note, 60).replace(/\|/g, '/')];
+}
 
-  /* --- Print CSS detection --- */
+/* Every context a scan opens is closed on the way out, whether it finished or threw */
+async function scanTarget(browser, probes, targetUrl, targetOut) {
+  const contexts = [];
   try {
-    const hasPrint = await page.evaluate(() => {
-      try {
-        return !!Array.from(document.styleSheets || []).find(ss => {
-          try {
-            if (ss.media && ss.media.mediaText && /print/i.test(ss.media.mediaText)) return true;
-            return Array.from(ss.cssRules || []).some(r => r.media && /print/i.test(r.media?.mediaText || ''));
-          } catch { return false; }
-        });
-      } catch { return false; }
-    });
-    if (hasPrint) {
-      findings.push({ 
-        id: 'print_css', 
-        title: 'Print stylesheet detected', 
-        severity: 'Info' 
-      });
+    return await runTargetScan(browser, probes, targetUrl, targetOut, contexts);
+  } finally {
+    for (const c of contexts) {
+      try { await c.close(); } catch {}
     }
-  } catch {}
+  }
+}
 
-  /* --- Window globals detection --- */
-  try {
-    const globals = await page.evaluate(() => {
-      const keys = Object.getOwnPropertyNames(window);
-      return keys.filter(k => /piano|poool|meter|paywall|entitlement|subscribe|metering/i.test(k)).slice(0, 20);
-    });
-    if (globals.length) {
-      findings.push({ 
-        id: 'global_flags', 
-        title: `Found ${globals.length} paywall globals`, 
-        severity: 'Info', 
-        evidence: { keys: globals } 
-      });
-    }
-  } catch {}
+async function runTargetScan(browser, probes, targetUrl, targetOut, contexts) {
+  ensureDir(targetOut);
+  const shotsDir = path.join(targetOut, 'screenshots'); ensureDir(shotsDir);
+  const contentDir = path.join(targetOut, 'content'); ensureDir(contentDir);
 
-  /* --- Service Worker detection --- */
-  try {
-    const swInfo = await page.evaluate(async () => {
-      try {
-        if (!('serviceWorker' in navigator)) return { supported: false };
-        const regs = await navigator.serviceWorker.getRegistrations();
-        return { supported: true, registrations: regs.map(r => ({ scope: r.scope })) };
-      } catch (e) { return { supported: true, error: String(e) }; }
+  const findings = [];
+  const rawNotes = [];
+  const probeRuns = [];
+  const scopeLog = [];
+
+  /*
+   * Requests per phase (teaser, probe id) for the probe telemetry: browser requests pass the
+   * scope guard below, HTTP requests go through fetchScoped. Failures keep their message.
+   */
+  let network = null;
+  const traffic = {};
+  const track = (kind, error) => {
+    const phase = network ? network.phase : 'teaser';
+    const t = traffic[phase] || (traffic[phase] = { browser: 0, fetch: 0, failed: 0, errors: [] });
+    if (kind) t[kind]++;
+    if (!error) return;
+    t.failed++;
+    if (t.errors.length < 10) t.errors.push(error);
+    if (CFG.verbose) console.log(`   ✖ [${phase}] ${error}`);
+  };
+  /* --record-har: Playwright writes one HAR per context on close, fetchText entries are kept here */
+  const harDir = path.join(targetOut, 'har');
+  const harFetches = [];
+  const recordFetch = CFG.recordHar ? (entry) => harFetches.push({ ...entry, _phase: network ? network.phase : 'teaser' }) : null;
+
+  const fetchScoped = async (u, opts = {}) => {
+    const r = await fetchText(u, { ...opts, scopeLog, har: recordFetch });
+    const label = `${opts.method || 'GET'} ${short(u, 160)}`;
+    track('fetch', r.error ? `${label}: ${r.error}` : null);
+    if (CFG.verbose && !r.error) console.log(`   ↳ [${network ? network.phase : 'teaser'}] ${label} → ${r.status}`);
+    return r;
+  };
+
+  const ctxOpts = {};
+  if (CFG.userAgent) ctxOpts.userAgent = CFG.userAgent;
+
+  /*
+   * Every browser request (navigations, subresources, XHR) goes through the scope guard. With
+   * --replay, requests in scope fall through to the recorded responses; anything not recorded
+   * is aborted, so nothing reaches the network.
+   */
+  const newScopedContext = async (opts = {}, via = 'browser') => {
+    const recordHar = CFG.recordHar ? { recordHar: { path: path.join(harDir, `${String(contexts.length + 1).padStart(2, '0')}_${safeName(via)}.har`), content: 'embed' } } : {};
+    const c = await browser.newContext({ ...ctxOpts, ...opts, ...recordHar, serviceWorkers: 'block' });
+    contexts.push(c);
+    await c.addInitScript(SW_HOOK);
+    if (REPLAY) await c.routeFromHAR(REPLAY.file, { notFound: 'abort' });
+    await c.route('**/*', (route) => {
+      track('browser');
+      if (inScope(route.request().url(), via, scopeLog)) return REPLAY ? route.fallback() : route.continue();
+      return route.abort('blockedbyclient');
     });
-    if (swInfo?.supported) {
-      findings.push({ 
-        id: 'service_worker', 
-        title: 'Service Worker present', 
-        severity: 'Info', 
-        evidence: swInfo 
-      });
-    }
-  } catch {}
+    /* route() does not see WebSockets (Playwright 1.48+); nothing is recorded to replay them */
+    await c.routeWebSocket(/.*/, (ws) => {
+      track('browser');
+      if (inScope(ws.url(), `${via} websocket`, scopeLog) && !REPLAY) return ws.connectToServer();
+      return ws.close({ code: 1008, reason: REPLAY ? 'replay' : 'out of scope' });
+    });
+    c.on('requestfailed', (req) => track(null, `${req.method()} ${short(req.url(), 160)}: ${(req.failure() || {}).errorText || 'failed'}`));
+    if (network) await network.attach(c, via);
+    return c;
+  };
 
-  /* --- Final screenshots --- */
+  const context = await newScopedContext();
+  const page = await context.newPage();
+  network = await startNetworkCapture(context, page, rawNotes);
+
+  console.log(`🚀 Starting scan for: ${targetUrl}`);
+  console.log(`Engagement: ${SCOPE.engagementId} (${SCOPE.tester}), valid until ${SCOPE.validUntil}`);
+  console.log(`Output directory: ${targetOut}`);
+  if (REPLAY) console.log(`🔁 Replaying ${REPLAY.file} (${REPLAY.entries} entries, recorded ${REPLAY.recordedAt || 'unknown'}) — no network access`);
+
+  /* --- Get initial teaser length for validation --- */
+  let teaserLength = 0;
+  let teaserWords = 0;
+  let teaserTextLength = 0;
+  let pageLang = null;
   try {
-    await page.evaluate(async () => { 
-      const s = (ms) => new Promise(r => setTimeout(r, ms));
-      for (let i = 0; i < 3; i++) { 
-        window.scrollBy(0, window.innerHeight); 
-        await s(200); 
-      } 
-      window.scrollTo(0, 0);
-    });
-    await page.waitForTimeout(300);
-    await page.screenshot({ path: path.join(shotsDir, '02_after_scroll.png'), fullPage: true });
+    await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: CFG.timeout });
+    await page.waitForTimeout(800);
     
-    const finalCss = `${OVERLAYS.join(',')} { display:none !important; visibility:hidden !important } html,body{overflow:auto!important;height:auto!important}`;
-    await page.addStyleTag({ content: finalCss });
-    await page.waitForTimeout(350);
-    await page.screenshot({ path: path.join(shotsDir, '03_final.png'), fullPage: true });
-  } catch {}
-
-  /* --- XHR follow-up: re-fetch promising fragments --- */
-  for (const rec of xhrScan) {
-    const isHtmlish = /html/.test(rec.ct || '');
-    const looksFragment = XHR_FRAGMENT_CANDIDATES.some(s => (rec.url || '').includes(s));
-    if (!isHtmlish && !looksFragment) continue;
+    const teaserHtml = await page.content();
+    const teaserSig = analyzeHtmlContent(teaserHtml);
+    teaserLength = teaserSig.contentBytes;
+    const teaserText = extractContent(teaserHtml, { lang: teaserSig.language });
+    teaserWords = teaserText.words;
+    teaserTextLength = teaserText.text.length;
+    pageLang = teaserSig.language;
+    console.log(`Teaser baseline: ${teaserWords} words, ${teaserSig.contentBytes} bytes, language ${pageLang || 'unknown'}`);
+  } catch (e) {
+    rawNotes.push(`[nav] error: ${String(e).slice(0, 200)}`);
+  }
 
-    try {
-      const r = await fetchText(rec.url, { headers: { 'Accept': rec.ct || 'text/html', 'X-Requested-With': 'XMLHttpRequest' }, timeout: 10000 });
-      if (r.error || typeof r.text !== 'string') continue;
-
-      const content = r.text;
-      const sig = analyzeHtmlContent(content, teaserLength);
-
-      rec.refetch = {
-        status: r.status,
-        ct: r.headers?.['content-type'] || null,
-        sha256: sha256(content),
-        htmlSignals: sig,
-        preview: CFG.noPreview ? undefined : short(content, 180)
-      };
+  /* --- Subscriber baseline: entitled article text for leak scoring --- */
+  let premium = null;
+  if (CFG.subscriberState) premium = await captureSubscriberBaseline(newScopedContext, targetUrl, targetOut, rawNotes, pageLang);
+  let teaserPct = null;
+  if (premium) {
+    /* What an anonymous reader sees: innerText skips display:none / visibility:hidden bodies */
+    try { teaserPct = leakPercent(premium.shingles, await page.evaluate(() => (document.body && document.body.innerText) || '')); } catch {}
+    console.log(`Subscriber baseline: ${premium.words} words (${premium.selector || 'body'}), anonymous page shows ${teaserPct}%`);
+  }
 
-      if (sig.articleLike) {
-        const contentPath = path.join(contentDir, `xhr_refetch_${sha256(rec.url).slice(0, 16)}.html`);
-        await writeText(contentPath, content);
-        findings.push({
-          id: 'xhr_refetch',
-          title: `XHR refetch success (${sig.validationScore})`,
-          severity: 'High',
-          evidence: {
-            url: rec.url,
-            ct: rec.refetch.ct,
-            htmlSignals: sig,
-            sha256: rec.refetch.sha256,
-            contentPath: contentPath.replace(targetOut + '/', '')
-          }
-        });
-        console.log(`🔄 XHR refetch: ${sig.wordCount} words`);
+  /* --- Probes --- */
+  const extracted = {};
+  const ctx = {
+    url: targetUrl,
+    cfg: CFG,
+    browser,
+    context,
+    page,
+    targetOut,
+    contentDir,
+    shotsDir,
+    heuristics: HEURISTICS,
+    /* Page language (detectLanguage) for phrase matching, word counts and sentence splitting */
+    lang: pageLang,
+    util: { analyzeHtmlContent, extractContent, countWords, extractJsonContent, findKeyJson, findKeyPaths, jsonArticleText, breakText: (str, headers = false) => breakText(str, headers, pageLang), parseHtmlEntities, htmlToText, textSimilarity, pageMetrics, sha256, short, safeName },
+    state: {
+      /* HTML bytes of the anonymous page (analyzeHtmlContent) and chars of its article text (text fallbacks) */
+      teaserLength,
+      teaserTextLength,
+      scriptUrls: [],
+      xhrScan: [],
+      jsonProbes: [],
+      headerChecks: [],
+      altViews: [],
+      hydration: [],
+      entitlementReplay: [],
+      graphqlScan: { endpoints: [], operations: [] },
+      meterForensics: {},
+      cacheHeaders: [],
+      paywallMarkup: {},
+      visualDiff: {},
+      articleDom: { sel: null, len: 0 }
+    },
+    fetchText: fetchScoped,
+    /* Extra browser context (own UA, headers, storage) behind the same scope guard */
+    newContext: newScopedContext,
+    fetchArchiveContent: (u) => fetchArchiveContent(u, { fetch: fetchScoped }),
+    /*
+     * Writes the raw artifact content/<name> plus its cleaned <base>.md / <base>.txt
+     * (extractContent; `opts.body` is the body text when the probe already located it)
+     * and returns the raw path relative to the target folder.
+     */
+    saveContent: async (name, raw, opts = {}) => {
+      const rel = path.join('content', name);
+      await writeText(path.join(contentDir, name), raw);
+      if (/\.(md|txt)$/i.test(name)) return rel;
+      try {
+        const ex = extractContent(raw, { body: opts.body ?? null, lang: pageLang });
+        if (ex.words) {
+          const base = name.replace(/\.[^.]+$/, '');
+          await writeText(path.join(contentDir, `${base}.md`), ex.markdown);
+          await writeText(path.join(contentDir, `${base}.txt`), ex.text);
+          extracted[rel] = { markdown: path.join('content', `${base}.md`), text: path.join('content', `${base}.txt`), title: ex.title, words: ex.words, source: ex.source };
+        }
+      } catch (e) {
+        rawNotes.push(`[extract] ${name}: ${String(e).slice(0, 200)}`);
       }
-    } catch {}
+      return rel;
+    },
+    addFinding: (f) => findings.push(f),
+    /* Findings reported so far (read-only for probes) */
+    findings,
+    network,
+    /* Exposure verdict for a captured artifact (lib/content.js assessContent) */
+    assess: (artifact, opts = {}) => assessContent(artifact, opts, { rules: HEURISTICS, teaserLength, lang: pageLang, premium, teaserPct }),
+    premium
+  };
+
+  /*
+   * Telemetry per probe (raw_probes.json `probes`): start / end time, requests issued while
+   * it ran, findings and status — hit (findings), miss (none), error (threw) or skipped.
+   */
+  for (const probe of probes) {
+    const missing = probe.requires.filter(k => ctx[k] == null && ctx.state[k] == null);
+    if (missing.length) {
+      probeRuns.push({ id: probe.id, status: 'skipped', note: `missing ${missing.join(', ')}` });
+      if (CFG.verbose) console.log(`⏭️  ${probe.id}: skipped (missing ${missing.join(', ')})`);
+      continue;
+    }
+    network.phase = probe.id;
+    const run = { id: probe.id, status: 'miss', startedAt: new Date().toISOString() };
+    const t0 = Date.now();
+    /* Findings carry the probe that produced them, also when added later from a listener */
+    const owned = (f) => ({ ...f, probe: f.probe || probe.id });
+    const probeCtx = { ...ctx, addFinding: (f) => findings.push(owned(f)) };
+    if (CFG.verbose) console.log(`▶️  ${probe.id}: ${probe.description || ''}`);
+    try {
+      const out = (await probe.run(probeCtx)) || {};
+      findings.push(...(out.findings || []).map(owned));
+      Object.assign(ctx.state, out.artifacts || {});
+    } catch (e) {
+      run.status = 'error';
+      run.error = String(e && e.message || e).slice(0, 300);
+      console.log(`⚠️  Probe ${probe.id} failed: ${run.error}`);
+      if (CFG.verbose && e && e.stack) console.log(e.stack);
+    }
+    const t = traffic[probe.id] || { browser: 0, fetch: 0, failed: 0, errors: [] };
+    Object.assign(run, {
+      endedAt: new Date().toISOString(),
+      durationMs: Date.now() - t0,
+      findings: findings.filter(f => f.probe === probe.id).length,
+      requests: { browser: t.browser, fetch: t.fetch, failed: t.failed },
+      requestErrors: t.errors
+    });
+    if (run.status === 'miss' && run.findings) run.status = 'hit';
+    probeRuns.push(run);
+    if (CFG.verbose) {
+      const icon = { hit: '🎯', miss: '✔️ ', error: '❌' }[run.status];
+      console.log(`${icon} ${probe.id}: ${run.status}${run.findings ? ` (${run.findings} finding(s))` : ''} in ${run.durationMs} ms, ${t.browser + t.fetch} request(s)${t.failed ? `, ${t.failed} failed` : ''}`);
+    }
+  }
+  network.phase = 'report';
+  const { xhrScan, headerChecks, jsonProbes, scriptUrls, altViews, articleDom, hydration, entitlementReplay, graphqlScan, meterForensics, cacheHeaders, paywallMarkup, visualDiff, overlayAnalysis, providers } = ctx.state;
+
+  /* --- Leak percentage per exposed artifact --- */
+  let leakage = null;
+  if (premium) {
+    const vectors = [];
+    for (const f of findings) {
+      const cp = f.evidence?.contentPath;
+      if (!cp) continue;
+      try {
+        const leakPct = leakPercent(premium.shingles, fs.readFileSync(path.join(targetOut, cp), 'utf8'));
+        f.evidence.leakPct = leakPct;
+        vectors.push({ id: f.id, leakPct, contentPath: cp });
+      } catch {}
+    }
+    leakage = {
+      baseline: { words: premium.words, selector: premium.selector, sha256: premium.sha256, contentPath: premium.contentPath },
+      teaserPct,
+      minPercent: HEURISTICS.LEAK.minPercent,
+      vectors: vectors.sort((a, b) => b.leakPct - a.leakPct)
+    };
+  }
+
+  /* Late findings (xhr_monitor's response listener) count for the probe that owns them */
+  for (const run of probeRuns) {
+    if (run.status === 'skipped') continue;
+    run.findings = findings.filter(f => f.probe === run.id).length;
+    if (run.status === 'miss' && run.findings) run.status = 'hit';
   }
 
   /* ----------------- Save artifacts ----------------- */
+  if (CFG.recordHar) {
+    /* Playwright only writes a context's HAR when it is closed */
+    for (const c of contexts) {
+      try { await c.close(); } catch {}
+    }
+    try {
+      const meta = { target: targetUrl, recordedAt: new Date().toISOString(), engagementId: SCOPE.engagementId, userAgent: CFG.userAgent || null };
+      const n = await writeHar(targetOut, harDir, harFetches, meta, rawNotes);
+      console.log(`📼 HAR: ${n} requests recorded (run.har)`);
+    } catch (e) {
+      rawNotes.push(`[har] ${String(e).slice(0, 200)}`);
+    }
+  }
   try { await writeJson(path.join(targetOut, 'xhr_scan.json'), xhrScan); } catch {}
   try { await writeJson(path.join(targetOut, 'header_checks.json'), headerChecks); } catch {}
   try { await writeJson(path.join(targetOut, 'json_probes.json'), jsonProbes); } catch {}
   try { await writeJson(path.join(targetOut, 'js_scan.json'), scriptUrls); } catch {}
+  try { await writeJson(path.join(targetOut, 'scope_log.json'), scopeLog); } catch {}
+  try { await writeJson(path.join(targetOut, 'network_log.json'), network.log()); } catch {}
+  try { await writeJson(path.join(targetOut, 'entitlement_replay.json'), entitlementReplay); } catch {}
+  try { await writeJson(path.join(targetOut, 'graphql_scan.json'), graphqlScan); } catch {}
+  try { await writeJson(path.join(targetOut, 'meter_forensics.json'), meterForensics); } catch {}
+  try { await writeJson(path.join(targetOut, 'cache_headers.json'), cacheHeaders); } catch {}
+  try { await writeJson(path.join(targetOut, 'paywall_markup.json'), paywallMarkup); } catch {}
+  try { await writeJson(path.join(targetOut, 'visual_diff.json'), visualDiff); } catch {}
   try { await writeJson(path.join(targetOut, 'raw_probes.json'), {
-    target: CFG.url, 
+    target: targetUrl, 
     articleDom: { sel: articleDom.sel, len: articleDom.len }, 
     altViews, 
+    hydration,
+    overlay: overlayAnalysis || null,
+    providers: { database: { version: HEURISTICS.PROVIDERS.version, sources: HEURISTICS.PROVIDERS.sources }, matched: providers || [] },
+    probes: probeRuns,
+    teaserRequests: traffic.teaser || null,
     notes: rawNotes,
-    teaserLength
+    teaserLength,
+    language: pageLang
   }); } catch {}
 
   const report = {
-    target: CFG.url,
+    target: targetUrl,
     generatedAt: new Date().toISOString(),
+    language: pageLang,
+    replay: REPLAY ? { file: REPLAY.file, recordedAt: REPLAY.recordedAt } : null,
+    scope: {
+      engagementId: SCOPE.engagementId,
+      tester: SCOPE.tester,
+      validFrom: SCOPE.validFrom,
+      validUntil: SCOPE.validUntil,
+      allow: SCOPE.allow,
+      file: SCOPE.file,
+      sha256: SCOPE.sha256,
+      blockedRequests: scopeLog.length
+    },
+    config: {
+      file: CFG.config ? path.resolve(CFG.config) : null,
+      sha256: CFG.config ? sha256(fs.readFileSync(CFG.config, 'utf8')) : null,
+      effective: path.relative(targetOut, path.join(OUT_ROOT, 'effective_config.json'))
+    },
     artifacts: {
       screenshots: fs.existsSync(shotsDir) ? fs.readdirSync(shotsDir).map(f => path.join('screenshots', f)) : [],
       content: fs.existsSync(contentDir) ? fs.readdirSync(contentDir).map(f => path.join('content', f)) : [],
-      files: ['raw_probes.json', 'js_scan.json', 'xhr_scan.json', 'header_checks.json', 'json_probes.json']
+      /* raw content path -> cleaned Markdown / text and their word count */
+      extracted,
+      files: ['raw_probes.json', 'run.har', 'js_scan.json', 'xhr_scan.json', 'header_checks.json', 'json_probes.json', 'scope_log.json', 'network_log.json', 'entitlement_replay.json', 'graphql_scan.json', 'meter_forensics.json', 'cache_headers.json', 'paywall_markup.json', 'visual_diff.json']
         .filter(fn => fs.existsSync(path.join(targetOut, fn)))
+        .concat('report.html', CFG.formats.map(fmt => REPORT_FORMATS[fmt].file))
     },
     findings,
+    leakage,
+    probes: probeRuns.map(p => ({ id: p.id, status: p.status, findings: p.findings ?? 0, durationMs: p.durationMs ?? null, error: p.error || p.note || null })),
+    remediation: remediationFor(findings),
     summary: {
       totalFindings: findings.length,
       critical: findings.filter(f => f.severity === 'Critical').length,
@@ -982,6 +1755,24 @@ async function fetchArchiveContent(url) {
     }
   };
   try { await writeJson(path.join(targetOut, 'report.json'), report); } catch (e) { console.error('write report failed:', e.message); }
+  for (const fmt of CFG.formats) {
+    const { file, render } = REPORT_FORMATS[fmt];
+    try { await writeText(path.join(targetOut, file), render(report, probeRuns)); } catch (e) { console.error(`write ${file} failed:`, e.message); }
+  }
+
+  try {
+    const exposedWords = {};
+    for (const f of findings) {
+      const cp = f.evidence?.contentPath;
+      if (!cp || cp in exposedWords) continue;
+      try { exposedWords[cp] = extracted[cp] ? extracted[cp].words : extractContent(fs.readFileSync(path.join(targetOut, cp), 'utf8'), { lang: pageLang }).words; } catch {}
+    }
+    const screenshots = report.artifacts.screenshots.map(rel => ({
+      name: path.basename(rel),
+      data: 'data:image/png;base64,' + fs.readFileSync(path.join(targetOut, rel)).toString('base64')
+    }));
+    await writeText(path.join(targetOut, 'report.html'), toHtmlReport({ report, teaserWords, exposedWords, screenshots, jsonProbes }));
+  } catch (e) { console.error('write report.html failed:', e.message); }
 
   /* ----------------- Console Summary ----------------- */
   console.log('\n' + '='.repeat(60));
@@ -1002,17 +1793,29 @@ async function fetchArchiveContent(url) {
     .map((f, i) => [i+1, f.id, short(f.title), f.severity]);
   console.log(table(top, ['#','ID','Title','Severity']));
 
+  console.log('\nProbes:');
+  console.log(table(probeRuns.map((p, i) => [i + 1, p.id, p.status, ...probeCells(p)]), ['#', 'Probe', 'Status', 'Findings', 'Requests', 'Time', 'Note']));
+
+  if (leakage) {
+    console.log('\nPremium Body Leakage:');
+    console.log(table(leakage.vectors.map((v, i) => [i + 1, v.id, `${v.leakPct}%`, v.contentPath]), ['#', 'Vector', 'Leaked', 'Content']));
+  }
+
   console.log('\n📁 Artifacts:');
   console.log(`   Directory: ${targetOut}`);
   console.log(`   Report JSON: ${path.join(targetOut, 'report.json')}`);
-  console.log(`   Content files: ${fs.existsSync(contentDir) ? fs.readdirSync(contentDir).length : 0} files`);
+  console.log(`   Content files: ${fs.existsSync(contentDir) ? fs.readdirSync(contentDir).length : 0} files (${Object.keys(extracted).length} cleaned to .md / .txt)`);
   console.log(`   Screenshots: ${fs.existsSync(shotsDir) ? fs.readdirSync(shotsDir).length : 0} images`);
+  console.log(`   Out-of-scope requests blocked: ${scopeLog.length} (scope_log.json)`);
 
   // Generate Markdown report
   const md = [
-    `# Smoke Report for ${CFG.url}`,
+    `# Smoke Report for ${targetUrl}`,
     '',
     `**Generated:** ${new Date().toISOString()}`,
+    `**Engagement:** ${SCOPE.engagementId} — ${SCOPE.tester} (valid ${SCOPE.validFrom} → ${SCOPE.validUntil})`,
+    `**Out-of-scope requests blocked:** ${scopeLog.length}`,
+    ...(REPLAY ? [`**Replayed from:** ${REPLAY.file} (recorded ${REPLAY.recordedAt || 'unknown'})`] : []),
     `**Total Findings:** ${findings.length}`,
     '',
     '## Summary by Severity',
@@ -1029,22 +1832,43 @@ async function fetchArchiveContent(url) {
       .slice(0, 10)
       .map(f => {
         const contentPath = f.evidence?.contentPath ? `\n\n**Content:** ${f.evidence.contentPath}` : '';
-        return `### ${f.title}\n**ID:** ${f.id} | **Severity:** ${f.severity}${contentPath}`;
+        const fix = REMEDIATION[f.id] ? `\n\n**Fix:** ${REMEDIATION[f.id].fix}` : '';
+        return `### ${f.title}\n**ID:** ${f.id} | **Severity:** ${f.severity}${contentPath}${fix}`;
       }),
     '',
+    ...(leakage ? [
+      '## Premium Body Leakage',
+      '',
+      `Subscriber baseline: ${leakage.baseline.words} words; the anonymous page shows ${leakage.teaserPct}%.`,
+      '',
+      '| Vector | Leaked | Content |',
+      '|--------|--------|---------|',
+      ...leakage.vectors.map(v => `| ${v.id} | **${v.leakPct}%** | ${v.contentPath} |`),
+      ''
+    ] : []),
+    '## Probes',
+    '',
+    '| Probe | Status | Findings | Requests | Time | Note |',
+    '|-------|--------|----------|----------|------|------|',
+    ...probeRuns.map(p => `| ${p.id} | ${p.status === 'hit' || p.status === 'error' ? `**${p.status}**` : p.status} | ${probeCells(p).join(' | ')} |`),
+    '',
     '## All Findings',
     '',
     ...findings.map(f => {
       const contentPath = f.evidence?.contentPath ? ` [${f.evidence.contentPath}]` : '';
       return `- **${f.severity}** — ${f.title} (${f.id})${contentPath}`;
-    })
+    }),
+    '',
+    '## Remediation',
+    '',
+    ...remediationMarkdown(report.remediation)
   ].join('\n');
 
   const mdPath = path.join(targetOut, 'report.md');
   try { await fs.promises.writeFile(mdPath, md, 'utf8'); } catch {}
 
   const successCount = findings.filter(f => ['Critical','High'].includes(f.severity)).length;
-  const totalContentFiles = fs.existsSync(contentDir) ? fs.readdirSync(contentDir).filter(f => !f.includes('json')).length : 0;
+  const totalContentFiles = fs.existsSync(contentDir) ? fs.readdirSync(contentDir).filter(f => !/\.(md|txt)$/.test(f)).length : 0;
 
   console.log('\n' + '='.repeat(60));
   console.log(`🎯 RESULT: ${successCount} successful extractions, ${totalContentFiles} content files saved`);
@@ -1055,13 +1879,186 @@ async function fetchArchiveContent(url) {
     console.log('   • Check content/ directory for partial extracts');
   }
   console.log(`Full report: ${mdPath}`);
+  console.log(`HTML report: ${path.join(targetOut, 'report.html')}`);
   console.log('='.repeat(60));
 
   console.log('\n✅ Scan complete. Remember: Use responsibly and support journalism where possible.\n');
 
-  try { await context.close(); } catch {}
+  return report;
+}
+
+/* ----------------------------- Batch summary ---------------------- */
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'Info'];
+const PROBE_STATUSES = ['hit', 'miss', 'error', 'skipped'];
+
+function buildSummary(results) {
+  const byUrl = [];
+  const byFinding = {};
+  const bySection = {};
+  const byProbe = {};
+
+  for (const r of results) {
+    const findings = r.report ? r.report.findings : [];
+    const probes = (r.report && r.report.probes) || [];
+    const section = siteSection(r.url);
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s.toLowerCase(), findings.filter(f => f.severity === s).length]));
+    byUrl.push({
+      url: r.url,
+      section,
+      status: r.status,
+      error: r.error,
+      dir: r.report ? path.relative(OUT_ROOT, r.dir) : null,
+      totalFindings: findings.length,
+      ...counts,
+      ids: [...new Set(findings.map(f => f.id))],
+      probes: Object.fromEntries(PROBE_STATUSES.map(st => [st, probes.filter(p => p.status === st).length]))
+    });
+
+    for (const p of probes) {
+      const entry = byProbe[p.id] || (byProbe[p.id] = { ...Object.fromEntries(PROBE_STATUSES.map(st => [st, 0])), findings: 0, totalMs: 0, errors: [] });
+      entry[p.status]++;
+      entry.findings += p.findings;
+      entry.totalMs += p.durationMs || 0;
+      if (p.status === 'error' && entry.errors.length < 5) entry.errors.push({ url: r.url, error: p.error });
+    }
+
+    const sec = bySection[section] || (bySection[section] = { urls: 0, ...Object.fromEntries(SEVERITIES.map(s => [s.toLowerCase(), 0])), ids: {} });
+    sec.urls++;
+    for (const s of SEVERITIES) sec[s.toLowerCase()] += counts[s.toLowerCase()];
+
+    for (const id of new Set(findings.map(f => f.id))) {
+      const sevs = findings.filter(f => f.id === id).map(f => f.severity);
+      const severity = SEVERITIES.find(s => sevs.includes(s)) || sevs[0];
+      const entry = byFinding[id] || (byFinding[id] = { severity, count: 0, urls: [] });
+      if (SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(entry.severity)) entry.severity = severity;
+      entry.count++;
+      entry.urls.push(r.url);
+      sec.ids[id] = (sec.ids[id] || 0) + 1;
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    scope: {
+      engagementId: SCOPE.engagementId,
+      tester: SCOPE.tester,
+      validFrom: SCOPE.validFrom,
+      validUntil: SCOPE.validUntil,
+      file: SCOPE.file,
+      sha256: SCOPE.sha256,
+      blockedRequests: scopeBlocked.length + results.reduce((n, r) => n + (r.report?.scope?.blockedRequests || 0), 0)
+    },
+    sources: { url: CFG.url, urls: CFG.urlsFile, sitemap: CFG.sitemap, limit: CFG.limit, concurrency: CFG.concurrency },
+    totals: {
+      targets: results.length,
+      scanned: results.filter(r => r.status === 'ok').length,
+      failed: results.filter(r => r.status === 'error').length,
+      outOfScope: results.filter(r => r.status === 'out_of_scope').length
+    },
+    byUrl,
+    byFinding,
+    bySection,
+    byProbe
+  };
+}
+
+function summaryMarkdown(summary) {
+  const sevSort = (a, b) => SEVERITIES.indexOf(a[1].severity) - SEVERITIES.indexOf(b[1].severity) || b[1].count - a[1].count;
+  return [
+    '# Smoke Batch Summary',
+    '',
+    `**Generated:** ${summary.generatedAt}`,
+    `**Engagement:** ${summary.scope.engagementId} — ${summary.scope.tester} (valid ${summary.scope.validFrom} → ${summary.scope.validUntil})`,
+    `**Targets:** ${summary.totals.targets} (scanned ${summary.totals.scanned}, failed ${summary.totals.failed}, out of scope ${summary.totals.outOfScope})`,
+    `**Out-of-scope requests blocked:** ${summary.scope.blockedRequests}`,
+    '',
+    '## By Finding',
+    '',
+    '| ID | Severity | URLs |',
+    '|----|----------|------|',
+    ...Object.entries(summary.byFinding).sort(sevSort).map(([id, f]) => `| ${id} | **${f.severity}** | ${f.count} |`),
+    '',
+    '## By Section',
+    '',
+    '| Section | URLs | Critical | High | Medium | Low | Info | Top IDs |',
+    '|---------|------|----------|------|--------|-----|------|---------|',
+    ...Object.entries(summary.bySection).sort((a, b) => a[0].localeCompare(b[0])).map(([sec, s]) => {
+      const ids = Object.entries(s.ids).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([id, c]) => `${id} (${c})`).join(', ');
+      return `| ${sec} | ${s.urls} | ${s.critical} | ${s.high} | ${s.medium} | ${s.low} | ${s.info} | ${ids} |`;
+    }),
+    '',
+    '## By Probe',
+    '',
+    '| Probe | Hit | Miss | Error | Skipped | Findings | Avg time | First error |',
+    '|-------|-----|------|-------|---------|----------|----------|-------------|',
+    ...Object.entries(summary.byProbe).map(([id, p]) => {
+      const ran = p.hit + p.miss + p.error;
+      const err = p.errors[0] ? `${short(p.errors[0].error, 60)} (${p.errors[0].url})`.replace(/\|/g, '/') : '';
+      return `| ${id} | ${p.hit} | ${p.miss} | ${p.error ? `**${p.error}**` : 0} | ${p.skipped} | ${p.findings} | ${ran ? `${Math.round(p.totalMs / ran)} ms` : ''} | ${err} |`;
+    }),
+    '',
+    '## By URL',
+    '',
+    '| URL | Status | Critical | High | Medium | Probe errors | Report |',
+    '|-----|--------|----------|------|--------|--------------|--------|',
+    ...summary.byUrl.map(u => `| ${u.url} | ${u.status}${u.error ? `: ${short(u.error, 80)}` : ''} | ${u.critical} | ${u.high} | ${u.medium} | ${u.probes.error} | ${u.dir ? `${u.dir}/report.md` : ''} |`)
+  ].join('\n');
+}
+
+(async () => {
+  const targets = await collectTargets();
+  if (!targets.length) {
+    console.error('ERROR: no target URLs found');
+    process.exit(2);
+  }
+
+  const probes = selectProbes(loadProbes());
+  const { chromium } = require('playwright'); // loaded here so diff mode runs without a browser install
+  await writeJson(path.join(OUT_ROOT, 'effective_config.json'), EFFECTIVE_CONFIG);
+  const browser = await chromium.launch({ headless: !CFG.headful });
+  const usedDirs = new Set();
+  const batch = targets.length > 1;
+  if (batch) console.log(`📋 Batch scan: ${targets.length} targets, concurrency ${CFG.concurrency}`);
+
+  const results = await runPool(targets, batch ? CFG.concurrency : 1, async (targetUrl) => {
+    const reason = scopeCheck(SCOPE, targetUrl);
+    if (reason) {
+      console.log(`⛔ Skipping out-of-scope target ${targetUrl} (${reason})`);
+      return { url: targetUrl, status: 'out_of_scope', error: reason };
+    }
+    let dirName = safeName(targetUrl);
+    if (usedDirs.has(dirName)) dirName = `${dirName.slice(0, 150)}_${sha256(targetUrl).slice(0, 8)}`;
+    usedDirs.add(dirName);
+    const dir = path.join(OUT_ROOT, dirName);
+    try {
+      const report = await scanTarget(browser, probes, targetUrl, dir);
+      return { url: targetUrl, status: 'ok', dir, report };
+    } catch (e) {
+      console.error(`Scan failed for ${targetUrl}: ${e.message}`);
+      return { url: targetUrl, status: 'error', dir, error: String(e).slice(0, 300) };
+    }
+  });
+
   try { await browser.close(); } catch {}
-  process.exit(0);
+
+  if (batch) {
+    const summary = buildSummary(results);
+    try { await writeJson(path.join(OUT_ROOT, 'summary.json'), summary); } catch (e) { console.error('write summary failed:', e.message); }
+    try { await writeText(path.join(OUT_ROOT, 'summary.md'), summaryMarkdown(summary)); } catch {}
+
+    console.log('\n' + '='.repeat(60));
+    console.log('BATCH SUMMARY');
+    console.log('='.repeat(60));
+    console.log(table(summary.byUrl.map((u, i) => [i + 1, short(u.url, 70), u.status, u.critical, u.high, u.medium]),
+      ['#', 'URL', 'Status', 'Critical', 'High', 'Medium']));
+    console.log(`\nSummary: ${path.join(OUT_ROOT, 'summary.md')}`);
+  }
+
+  /* A batch that could not scan some of its targets is not a clean run */
+  const failed = results.filter(r => r.status === 'error').length;
+  if (batch && failed) console.error(`❌ ${failed} of ${results.length} target(s) failed`);
+  process.exit(failed ? 1 : 0);
 })().catch(e => { 
   console.error('Fatal error:', e); 
   process.exit(1); 
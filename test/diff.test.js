@@ -0,0 +1,76 @@
+/**
+ * diff mode: matching, word-count deltas and the CI exit code.
+ *
+ *   node --test test/diff.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SCANNER = path.join(__dirname, '..', 'smoke-paywall.js');
+
+function writeRun(root, name, findings) {
+  const dir = path.join(root, name, 'https_example.com_news_a');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify({ target: 'https://example.com/news/a', findings }));
+  return path.join(root, name);
+}
+
+function scanner(...args) {
+  return spawnSync(process.execPath, [SCANNER, ...args], { encoding: 'utf8' });
+}
+function diff(a, b, ...extra) {
+  return scanner('diff', a, b, ...extra);
+}
+
+describe('diff mode', () => {
+  let root, runA, runB;
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-paywall-diff-'));
+    runA = writeRun(root, 'a', [
+      { id: 'xhr_fragment', title: 'XHR', severity: 'High', evidence: { url: 'https://example.com/f', htmlSignals: { wordCount: 1200 } } },
+      { id: 'print_css', title: 'Print stylesheet detected', severity: 'Info' }
+    ]);
+    runB = writeRun(root, 'b', [
+      { id: 'xhr_fragment', title: 'XHR', severity: 'High', evidence: { url: 'https://example.com/f', htmlSignals: { wordCount: 1500 } } },
+      { id: 'public_json', title: 'JSON', severity: 'Critical', evidence: { path: 'https://example.com/news/a.json' } }
+    ]);
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('reports new, resolved and changed findings', () => {
+    const out = path.join(root, 'out');
+    diff(runA, runB, '--out', out);
+    const result = JSON.parse(fs.readFileSync(path.join(out, 'diff.json'), 'utf8'));
+    const [t] = result.targets;
+    assert.deepEqual(t.new.map(x => x.finding.id), ['public_json']);
+    assert.deepEqual(t.resolved.map(x => x.finding.id), ['print_css']);
+    assert.equal(t.changed[0].finding.id, 'xhr_fragment');
+    assert.equal(t.changed[0].changes.wordCount.delta, 300);
+  });
+
+  it('exits 1 when a new High/Critical finding appears', () => {
+    assert.equal(diff(runA, runB).status, 1);
+  });
+
+  it('exits 0 when findings only go away', () => {
+    assert.equal(diff(runB, runA).status, 0);
+  });
+
+  it('honours --fail-on', () => {
+    assert.equal(diff(runA, runB, '--fail-on', 'Critical').status, 1);
+    assert.equal(diff(runB, runA, '--fail-on', 'Info').status, 1);
+  });
+
+  it('takes the run directories after options with values', () => {
+    assert.equal(scanner('diff', '--fail-on', 'Critical', runA, runB).status, 1);
+    assert.equal(scanner('diff', '--fail-on', 'Critical', runB, runA).status, 0);
+    const out = path.join(root, 'out-first');
+    assert.equal(scanner('diff', '--out', out, '--fail-on', 'Info', runB, runA).status, 1);
+    assert.ok(fs.existsSync(path.join(out, 'diff.json')));
+  });
+});
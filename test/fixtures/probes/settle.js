@@ -0,0 +1,14 @@
+/**
+ * fixture_settle — test-only probe: wait for the fixture's lazy responses before the
+ * DOM / XHR probes run, so results do not depend on timing.
+ */
+module.exports = {
+  id: 'fixture_settle',
+  description: 'Wait for network idle (fixture tests only)',
+  order: 290,
+  requires: ['page'],
+  async run(ctx) {
+    await ctx.page.waitForLoadState('networkidle', { timeout: 15000 });
+    return {};
+  }
+};
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * Offline fixture site — one article page per content-exposure vector.
+ *
+ *   node test/fixtures/server.js [port]
+ *
+ * Article bodies avoid the words PAYWALL_STRINGS_RX rejects so that exposed copies
+ * pass analyzeHtmlContent(); teasers and overlays deliberately use them.
+ */
+
+const http = require('http');
+
+const WORDS = [
+  'council', 'river', 'budget', 'harbour', 'station', 'research', 'winter', 'market',
+  'village', 'engineer', 'program', 'history', 'museum', 'planning', 'school', 'energy',
+  'railway', 'forest', 'hospital', 'election', 'festival', 'bridge', 'weather', 'library'
+];
+
+/* Deterministic prose: `paragraphs` x 8 sentences x 12 words; another `stride` gives another article */
+function articleParagraphs(paragraphs = 14, stride = 7) {
+  const out = [];
+  let n = 0;
+  for (let p = 0; p < paragraphs; p++) {
+    const sentences = [];
+    for (let s = 0; s < 8; s++) {
+      const words = [];
+      for (let w = 0; w < 12; w++) words.push(WORDS[(n++ * stride + p) % WORDS.length]);
+      words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+      sentences.push(words.join(' ') + '.');
+    }
+    out.push(sentences.join(' '));
+  }
+  return out;
+}
+
+const FULL_TEXT = articleParagraphs().join('\n\n');
+/* A different premium article, served for the neighbouring id */
+const OTHER_TEXT = articleParagraphs(14, 5).join('\n\n');
+const FULL_BODY = [
+  '<h2>Background</h2>', '<h2>Analysis</h2>', '<h2>Outlook</h2>'
+].concat(articleParagraphs().map(p => `<p>${p}</p>`)).join('\n');
+const TEASER_BODY = `<p>${articleParagraphs(1)[0].split('. ').slice(0, 2).join('. ')}.</p>`;
+const GATE = '<div class="paywall"><h3>Subscribe to keep reading</h3><a href="/login">Sign in</a></div>';
+
+/* The one persisted query the fixture GraphQL endpoint knows */
+const APQ_HASH = 'ecf4edb46db40b5132295c0291d62fb65d6759a9eedfa4d5d612dd5ec54a6b38';
+
+/* Lazy responses arrive after the scanner has measured the teaser */
+const LAZY_DELAY_MS = 1500;
+
+function page({ title = 'Fixture article', head = '', body = '', lang = 'en' }) {
+  return `<!doctype html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+${head}
+</head>
+<body>
+<header><h1>${title}</h1></header>
+${body}
+</body>
+</html>`;
+}
+
+const teaser = (head = '', extra = '') => page({ head, body: `<article>${TEASER_BODY}</article>${GATE}${extra}` });
+const full = (head = '') => page({ head, body: `<article>${FULL_BODY}</article>` });
+
+/* path -> handler(req, url) => { status?, type?, delay?, body } */
+const ROUTES = {
+  '/': () => ({
+    body: page({ title: 'Fixture index', body: `<ul>${Object.keys(ROUTES).map(p => `<li><a href="${p}">${p}</a></li>`).join('')}</ul>` })
+  }),
+
+  /* amp_unhide: teaser links an AMP page that carries the whole article */
+  '/news/amp-article': () => ({ body: teaser('<link rel="amphtml" href="/news/amp-article/amp">') }),
+  '/news/amp-article/amp': () => ({ body: full('<link rel="canonical" href="/news/amp-article">') }),
+
+  /* json_url / public_json: ?format=json returns the body as JSON */
+  '/news/json-article': (req, url) => (url.searchParams.get('format') === 'json'
+    ? { type: 'application/json', body: JSON.stringify({ id: 42, headline: 'Fixture article', articleBody: FULL_TEXT }) }
+    : { body: teaser() }),
+
+  /* jsonld_present: JSON-LD Article without a body */
+  '/news/jsonld-meta-article': () => ({
+    body: teaser(`<script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'NewsArticle',
+      headline: 'Fixture article',
+      isAccessibleForFree: false
+    })}</script>`)
+  }),
+
+  /* paywall_markup_ok: compliant markup, the gated section ships empty */
+  '/news/markup-article': () => ({
+    body: page({
+      head: `<script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'NewsArticle',
+        headline: 'Fixture article',
+        isAccessibleForFree: false,
+        hasPart: { '@type': 'WebPageElement', isAccessibleForFree: false, cssSelector: '.paywalled-section' }
+      })}</script>`,
+      body: `<article>${TEASER_BODY}<div class="paywalled-section"></div></article>${GATE}`
+    })
+  }),
+
+  /* jsonld_article / jsonld_extracted: JSON-LD Article with articleBody */
+  '/news/jsonld-article': () => ({
+    body: teaser(`<script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'NewsArticle',
+      headline: 'Fixture article',
+      isAccessibleForFree: false,
+      articleBody: FULL_TEXT
+    })}</script>`)
+  }),
+
+  /* next_data_extracted: Next.js hydration blob carries the body */
+  '/news/next-article': () => ({
+    body: teaser('', `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({
+      props: { pageProps: { article: { id: 42, title: 'Fixture article', body: FULL_TEXT } } },
+      page: '/news/[slug]'
+    })}</script>`)
+  }),
+
+  /* nuxt_state / apollo_state / redux_state / astro_props: hydration blobs carry the body */
+  '/news/hydration-article': () => ({
+    body: teaser('', `<script type="application/json" id="__NUXT_DATA__">${JSON.stringify([
+      { state: 1 }, ['Reactive', 2], { article: 3 }, { id: 4, body: 5 }, 42, FULL_TEXT
+    ])}</script>
+<script>window.__APOLLO_STATE__ = ${JSON.stringify({ 'Article:42': { __typename: 'Article', id: 42, body: FULL_BODY } })};</script>
+<script>window.__PRELOADED_STATE__ = ${JSON.stringify({ article: { id: 42, paragraphs: FULL_TEXT.split('\n\n') } })};</script>
+<astro-island uid="a1" props="${JSON.stringify({ article: [0, { text: [0, FULL_TEXT] }] }).replace(/"/g, '&quot;')}"></astro-island>`)
+  }),
+
+  /* ua_referer_bypass: crawlers get the full HTML, browsers the teaser */
+  '/news/ua-article': (req) => ({ body: /googlebot|bingbot/i.test(req.headers['user-agent'] || '') ? full() : teaser() }),
+
+  /* cache_crawler_leak / cache_vary_missing: UA-dependent page, CDN-cacheable, no Vary */
+  '/news/cache-article': (req) => ({
+    headers: { 'Cache-Control': 'public, max-age=300', 'Age': '42' },
+    body: /googlebot|bingbot/i.test(req.headers['user-agent'] || '') ? full() : teaser()
+  }),
+
+  /* alt_view: the print variant drops the gate */
+  '/news/alt-article': (req, url) => ({ body: url.searchParams.get('print') === '1' ? full() : teaser() }),
+
+  /* dom_article: body is fetched lazily and lands in the DOM under the gate */
+  '/news/dom-article': () => ({
+    body: teaser('', `<script>
+  fetch('/news/dom-article/body').then(r => r.text()).then(html => { document.querySelector('article').innerHTML = html; });
+</script>`)
+  }),
+  '/news/dom-article/body': () => ({ delay: LAZY_DELAY_MS, body: FULL_BODY }),
+
+  /* dom_article with a subscriber baseline: subscribers get the article, everyone else the body hidden with CSS */
+  '/news/hidden-article': (req) => ({
+    body: /(?:^|;\s*)fixture_sub=1/.test(req.headers.cookie || '')
+      ? full()
+      : page({ body: `<article>${TEASER_BODY}<div class="article-rest" style="display:none">${FULL_BODY}</div></article>${GATE}` })
+  }),
+
+  /* xhr_fragment / xhr_refetch / xhr_json: lazy HTML fragment and article API */
+  '/news/xhr-article': () => ({
+    body: teaser('', `<script>
+  fetch('/news/xhr-article/fragment?view=fragment').then(r => r.text());
+  fetch('/api/articles/42').then(r => r.json());
+</script>`)
+  }),
+  '/news/xhr-article/fragment': () => ({ delay: LAZY_DELAY_MS, body: FULL_BODY }),
+  '/api/articles/42': () => ({
+    delay: LAZY_DELAY_MS,
+    type: 'application/json',
+    body: JSON.stringify({ data: { article: { id: 42, articleBody: FULL_TEXT } } })
+  }),
+
+  /* entitlement_replay: the article API trusts a client-supplied entitlement flag */
+  '/news/api-article': () => ({
+    body: teaser('', `<script>
+  fetch('/api/premium/7').then(r => r.json());
+</script>`)
+  }),
+  '/api/premium/7': (req, url) => ({
+    type: 'application/json',
+    body: JSON.stringify({
+      article: {
+        id: 7,
+        body: req.headers['x-subscriber'] === 'true' || url.searchParams.get('entitled') === 'true' ? FULL_TEXT : TEASER_BODY
+      }
+    })
+  }),
+
+  /* entitlement_replay with a subscriber baseline: article 19 is enforced, its neighbour 18 is not */
+  '/news/idor-article': (req) => ({
+    body: /(?:^|;\s*)fixture_sub=1/.test(req.headers.cookie || '')
+      ? full()
+      : teaser('', `<script>
+  fetch('/api/locked/19').then(r => r.json());
+</script>`)
+  }),
+  '/api/locked/19': (req) => ({
+    type: 'application/json',
+    body: JSON.stringify({
+      article: { id: 19, body: /(?:^|;\s*)fixture_sub=1/.test(req.headers.cookie || '') ? FULL_TEXT : TEASER_BODY }
+    })
+  }),
+  '/api/locked/18': () => ({
+    type: 'application/json',
+    body: JSON.stringify({ article: { id: 18, body: OTHER_TEXT } })
+  }),
+
+  /* graphql_anonymous_body / graphql_introspection: the article query resolves the body for anyone */
+  '/news/graphql-article': () => ({
+    body: teaser('', `<script>
+  fetch('/graphql', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      operationName: 'ArticleBody',
+      query: 'query ArticleBody($id: ID!) { article(id: $id) { id title body isPremium } }',
+      variables: { id: '42' }
+    })
+  }).then(r => r.json());
+</script>`)
+  }),
+  /* graphql_anonymous_body: persisted query (APQ) sent as GET, no query text in the request */
+  '/news/apq-article': () => ({
+    body: teaser('', `<script>
+  fetch('/graphql?operationName=ArticleBody&variables=' + encodeURIComponent('{"id":"42"}') +
+    '&extensions=' + encodeURIComponent('{"persistedQuery":{"version":1,"sha256Hash":"${APQ_HASH}"}}')).then(r => r.json());
+</script>`)
+  }),
+  '/graphql': (req, url, body) => {
+    let op = {};
+    try { op = JSON.parse(body || '{}'); } catch {}
+    if (req.method === 'GET') {
+      try { op = { query: url.searchParams.get('query') || undefined, extensions: JSON.parse(url.searchParams.get('extensions') || '{}') }; } catch {}
+    }
+    const hash = op.extensions && op.extensions.persistedQuery && op.extensions.persistedQuery.sha256Hash;
+    if (!op.query && hash !== APQ_HASH) {
+      return { type: 'application/json', body: JSON.stringify({ errors: [{ message: 'PersistedQueryNotFound' }] }) };
+    }
+    const data = /__schema/.test(op.query || '')
+      ? { __schema: { queryType: { name: 'Query' }, types: [
+        { name: 'Query', kind: 'OBJECT', fields: [{ name: 'article' }] },
+        { name: 'Article', kind: 'OBJECT', fields: [{ name: 'id' }, { name: 'title' }, { name: 'body' }, { name: 'isPremium' }] }
+      ] } }
+      : { article: { id: '42', title: 'Fixture article', body: FULL_TEXT, isPremium: true } };
+    return { type: 'application/json', body: JSON.stringify({ data }) };
+  },
+
+  /* meter_forensics: two free views counted in localStorage, then the gate is drawn client-side */
+  '/news/meter-article': () => ({
+    body: page({ body: `<article>${FULL_BODY}</article>
+<script>
+  const views = Number(localStorage.getItem('meter_views') || 0) + 1;
+  localStorage.setItem('meter_views', String(views));
+  if (views > 2) {
+    document.querySelector('article').innerHTML = ${JSON.stringify(TEASER_BODY)};
+    document.body.insertAdjacentHTML('beforeend', ${JSON.stringify(GATE)});
+  }
+</script>` })
+  }),
+
+  /* paywall_provider / blocked_scripts / global_flags plus the client-side tweak probes */
+  '/news/provider-article': () => ({
+    body: teaser(`<meta name="generator" content="Ghost 5.82">
+<script src="https://cdn.piano.io/api/tinypass.min.js"></script>
+<script>window.meterCount = 3; window.paywallConfig = { limit: 5 };</script>`)
+  }),
+
+  /* German gate without an OVERLAYS class: only the de paywall phrases mark it as gated */
+  '/news/de-article': () => ({
+    body: page({
+      lang: 'de',
+      title: 'Fixture-Artikel',
+      body: `<article>${TEASER_BODY}</article>
+<div class="abo-hinweis"><h3>Jetzt weiterlesen mit dem Digitalzugang</h3><a href="/anmelden">Anmelden</a></div>`
+    })
+  }),
+
+  /* paywall_markup: free article, the only "Subscribe" / "Sign in" text is in the nav and footer */
+  '/news/free-article': () => ({
+    body: page({
+      body: `<nav><a href="/subscribe">Subscribe</a> <a href="/login">Sign in</a></nav>
+<article>${FULL_BODY}</article>
+<footer><a href="/subscribe">Subscribe</a> · <a href="/login">Log in</a></footer>`
+    })
+  }),
+
+  /* client-side overlay: full body in the DOM, hidden behind a fixed overlay */
+  '/news/overlay-article': () => ({
+    body: page({
+      head: `<style>
+  html, body { overflow: hidden; height: 100%; }
+  article { max-height: 240px; overflow: hidden; }
+  .paywall { position: fixed; inset: 0; z-index: 9999; background: rgba(255,255,255,.97); }
+</style>`,
+      body: `<article>${FULL_BODY}</article>${GATE}`
+    })
+  }),
+
+  /* print_css: print stylesheet unhides the gated section */
+  '/news/print-article': () => ({ body: teaser('<style media="print">.paywall { display: none } article { max-height: none }</style>') }),
+
+  /* service_worker: page registers /sw.js */
+  '/news/sw-article': () => ({
+    body: teaser('', '<script>navigator.serviceWorker && navigator.serviceWorker.register("/sw.js");</script>')
+  }),
+  '/sw.js': () => ({ type: 'application/javascript', body: "self.addEventListener('fetch', () => {});" })
+};
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://fixture.local');
+  const route = ROUTES[url.pathname];
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const out = route ? route(req, url, body) : { status: 404, body: page({ title: 'Not found' }) };
+    setTimeout(() => {
+      res.writeHead(out.status || 200, { 'Content-Type': `${out.type || 'text/html'}; charset=utf-8`, ...(out.headers || {}) });
+      res.end(out.body);
+    }, out.delay || 0);
+  });
+}
+
+/* Resolves with { origin, close() }; port 0 picks a free port */
+function start(port = 0) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handle);
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+module.exports = { start, ROUTES, FULL_TEXT, FULL_BODY, TEASER_BODY, APQ_HASH };
+
+if (require.main === module) {
+  start(parseInt(process.argv[2] || '8080', 10)).then(({ origin }) => console.log(`Fixture site on ${origin}`));
+}
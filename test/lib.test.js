@@ -0,0 +1,217 @@
+/**
+ * The browser-free helpers in lib/: scope checks, config and fingerprint validation,
+ * leak scoring, SARIF / JUnit rendering and GraphQL parsing.
+ *
+ *   node --test test/lib.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { matchDomain, scopeCheck } = require('../lib/scope');
+const { toRegex, regexToString, validateConfig, mergeConfig } = require('../lib/config');
+const { validateFingerprints, scoreProvider } = require('../lib/fingerprints');
+const { shingles, leakPercent, textSimilarity } = require('../lib/leak');
+const { severityRank, findingKey, toSarif, toJunit } = require('../lib/reports');
+const { describeQuery, parseOperations, isReplayable } = require('../lib/graphql');
+
+const WORDS = 'the council voted on tuesday to approve the new budget after a long debate about school funding and road repairs in the northern district';
+
+describe('scope', () => {
+  const scope = {
+    validFrom: '2026-01-01T00:00:00Z',
+    validUntil: '2026-12-31T23:59:59Z',
+    allow: [{ host: 'example.com', paths: ['/news/', '/api/'] }, { host: 'cdn.example.net', paths: null }]
+  };
+  const now = Date.parse('2026-06-01T00:00:00Z');
+
+  it('matches a host and its subdomains only', () => {
+    assert.equal(matchDomain('example.com', 'www.example.com'), 'example.com');
+    assert.equal(matchDomain(['example.com'], 'example.com'), 'example.com');
+    assert.equal(matchDomain('example.com', 'badexample.com'), false);
+  });
+
+  it('allows listed paths and hosts without a path list', () => {
+    assert.equal(scopeCheck(scope, 'https://www.example.com/news/a', now), null);
+    assert.equal(scopeCheck(scope, 'https://img.cdn.example.net/x.png', now), null);
+    assert.equal(scopeCheck(scope, 'data:text/plain,hi', now), null);
+  });
+
+  it('gives the reason a URL is out of scope', () => {
+    assert.equal(scopeCheck(scope, 'https://example.com/shop/', now), 'path /shop/ not in scope for example.com');
+    assert.equal(scopeCheck(scope, 'https://tracker.io/p', now), 'host tracker.io not in scope');
+    assert.equal(scopeCheck(scope, 'wss://push.tracker.io/socket', now), 'host push.tracker.io not in scope');
+    assert.equal(scopeCheck(scope, 'not a url', now), 'unparseable URL');
+  });
+
+  it('enforces the engagement window', () => {
+    assert.equal(scopeCheck(scope, 'https://example.com/news/a', Date.parse('2025-12-31T00:00:00Z')), 'engagement window not started');
+    assert.equal(scopeCheck(scope, 'https://example.com/news/a', Date.parse('2027-01-01T00:00:00Z')), 'engagement window expired');
+  });
+});
+
+describe('config', () => {
+  const schema = {
+    selectors: 'string[]',
+    paywallStrings: 'regex',
+    blockedScripts: 'regex{}',
+    visual: { pixelThreshold: 'number:0..1', blockSize: 'integer:1..', minCoveredPct: 'number:0..100' },
+    articleLike: { minWords: 'number' }
+  };
+
+  it('round-trips regexes as "/source/flags"', () => {
+    const rx = toRegex(regexToString(/abo(nn)?/i));
+    assert.equal(rx.source, 'abo(nn)?');
+    assert.equal(rx.flags, 'i');
+    assert.equal(toRegex('subscribe', 'i').flags, 'i');
+  });
+
+  it('accepts a valid config', () => {
+    assert.deepEqual(validateConfig({
+      selectors: ['article'],
+      paywallStrings: '/subscribe/i',
+      blockedScripts: { piano: '/piano\\.io/', medium: null },
+      visual: { pixelThreshold: 1, blockSize: 4, minCoveredPct: 0 }
+    }, schema), []);
+  });
+
+  it('rejects unknown keys, bad types and invalid regexes', () => {
+    const errors = validateConfig({ selector: [], selectors: 'article', paywallStrings: '(', articleLike: { minWords: -1 } }, schema);
+    assert.ok(errors.includes('selector is not a known setting'));
+    assert.ok(errors.includes('selectors must be an array of strings'));
+    assert.ok(errors.some(e => e.startsWith('paywallStrings is not a valid regex')));
+    assert.ok(errors.includes('articleLike.minWords must be a number >= 0'));
+  });
+
+  it('range-checks numbers', () => {
+    assert.deepEqual(validateConfig({ visual: { pixelThreshold: 1.5, blockSize: 0, minCoveredPct: 101 } }, schema), [
+      'visual.pixelThreshold must be a number between 0 and 1',
+      'visual.blockSize must be an integer >= 1',
+      'visual.minCoveredPct must be a number between 0 and 100'
+    ]);
+    assert.deepEqual(validateConfig({ visual: { blockSize: 2.5 } }, schema), ['visual.blockSize must be an integer >= 1']);
+  });
+
+  it('merges objects key by key, replaces arrays and drops null keys', () => {
+    const merged = mergeConfig({ selectors: ['main'], leak: { minPercent: 50, shingleSize: 5 }, referers: ['a'] }, { selectors: ['article'], leak: { minPercent: 30 }, referers: null });
+    assert.deepEqual(merged, { selectors: ['article'], leak: { minPercent: 30, shingleSize: 5 } });
+  });
+});
+
+describe('fingerprints', () => {
+  it('accepts the bundled database', () => {
+    assert.deepEqual(validateFingerprints(require('../fingerprints/providers.json')), []);
+  });
+
+  it('rejects bad shapes instead of throwing', () => {
+    assert.deepEqual(validateFingerprints('providers'), ['fingerprints must be an object']);
+    assert.deepEqual(validateFingerprints({ providers: [] }), ['providers must be an object']);
+    const errors = validateFingerprints({ weights: { globals: 2 }, providers: { x: { scripts: 'x.js', cookies: ['('] }, gone: null } });
+    assert.ok(errors.includes('weights.globals must be a number between 0 and 1'));
+    assert.ok(errors.includes('providers.x.scripts must be an array of regex strings'));
+    assert.ok(errors.some(e => e.startsWith('providers.x.cookies[0] is not a valid regex')));
+  });
+
+  it('rejects globals too short to identify a provider', () => {
+    assert.deepEqual(validateFingerprints({ providers: { piano: { globals: ['tp'] } } }), ['providers.piano.globals: "tp" is too generic, use a dotted path']);
+    assert.deepEqual(validateFingerprints({ providers: { piano: { globals: ['tp.experience'] } } }), []);
+  });
+
+  it('combines signal weights as 1 - Π(1 - weight)', () => {
+    const weights = { scripts: 0.45, endpoints: 0.4, globals: 0.35, cookies: 0.3, dom: 0.25 };
+    const one = scoreProvider({ scripts: [], endpoints: [], globals: ['tinypass'], cookies: [], dom: [] }, weights);
+    assert.deepEqual(one, { signals: ['globals'], confidence: 0.35, level: 'low' });
+    const two = scoreProvider({ scripts: ['https://cdn.piano.io/x.js'], globals: ['tinypass'], dom: [] }, weights);
+    assert.deepEqual(two, { signals: ['scripts', 'globals'], confidence: 0.64, level: 'medium' });
+    assert.equal(scoreProvider({ scripts: [] }, weights).confidence, 0);
+  });
+});
+
+describe('leak scoring', () => {
+  it('builds word shingles of the given size', () => {
+    assert.deepEqual([...shingles('One two, THREE four', 3)], ['one two three', 'two three four']);
+    assert.equal(shingles('too short', 5).size, 0);
+  });
+
+  it('scores how much of the premium body an artifact contains', () => {
+    const premium = shingles(WORDS);
+    assert.equal(leakPercent(premium, `<p>${WORDS}</p><script>var x = 1;</script>`), 100);
+    assert.equal(leakPercent(premium, 'nothing from the article here at all'), 0);
+    const half = WORDS.split(' ').slice(0, 13).join(' ');
+    assert.ok(leakPercent(premium, half) > 30 && leakPercent(premium, half) < 60);
+    assert.equal(leakPercent(new Set(), WORDS), 0);
+  });
+
+  it('measures the similarity of two texts', () => {
+    assert.equal(textSimilarity(WORDS, WORDS), 1);
+    assert.equal(textSimilarity(WORDS, 'an entirely different text about the weather this week in town'), 0);
+  });
+});
+
+describe('report formats', () => {
+  const report = {
+    target: 'https://example.com/news/a',
+    generatedAt: '2026-06-01T00:00:00.000Z',
+    scope: { engagementId: 'ROE-1' },
+    findings: [
+      { id: 'public_json', title: 'Public JSON endpoint (1234 chars)', severity: 'Critical', evidence: { path: 'https://example.com/news/a.json' } },
+      { id: 'print_css', title: 'Print stylesheet <detected>', severity: 'Info' }
+    ]
+  };
+  const remediation = { public_json: { rootCause: 'No entitlement check', fix: 'Check entitlement', references: [{ title: 'Ref', url: 'https://ref.example/' }] } };
+
+  it('orders severities and keys findings by evidence', () => {
+    assert.ok(severityRank('Critical') < severityRank('Info'));
+    assert.equal(severityRank('Bogus'), 5);
+    assert.equal(findingKey(report.findings[0]), 'public_json||https://example.com/news/a.json|');
+  });
+
+  it('renders SARIF rules and results', () => {
+    const [run] = toSarif(report, remediation).runs;
+    assert.deepEqual(run.tool.driver.rules.map(r => r.id), ['public_json', 'print_css']);
+    assert.equal(run.tool.driver.rules[0].shortDescription.text, 'Public JSON endpoint');
+    assert.equal(run.tool.driver.rules[0].helpUri, 'https://ref.example/');
+    assert.equal(run.tool.driver.rules[1].help, undefined);
+    assert.deepEqual(run.results.map(r => [r.ruleId, r.level, r.ruleIndex]), [['public_json', 'error', 0], ['print_css', 'note', 1]]);
+  });
+
+  it('renders JUnit cases for findings and probe runs', () => {
+    const runs = [
+      { id: 'json_url', status: 'hit', durationMs: 1200 },
+      { id: 'xhr_monitor', status: 'error', error: 'boom <1>', durationMs: 5 },
+      { id: 'visual_diff', status: 'skipped', note: 'needs baselineShot' }
+    ];
+    const xml = toJunit(report, runs, 'High');
+    assert.match(xml, /<testsuites name="smoke-paywall" tests="5" failures="1" errors="1" skipped="1">/);
+    assert.match(xml, /<failure type="Critical"/);
+    assert.match(xml, /name="print_css: Print stylesheet &lt;detected&gt;"/);
+    assert.match(xml, /name="probe json_url" time="1.200"/);
+    assert.match(xml, /<error message="boom &lt;1&gt;"\/>/);
+    assert.match(toJunit(report, [], 'Info'), /failures="2"/);
+  });
+});
+
+describe('graphql', () => {
+  it('anchors the operation type to its definition', () => {
+    assert.deepEqual(describeQuery('query Article($id: ID!) { article(id: $id) { body } }'), { type: 'query', name: 'Article', fields: ['article', 'body'] });
+    assert.equal(describeQuery('fragment F on Article { query } mutation Inc { inc }').type, 'mutation');
+    assert.equal(describeQuery('{ viewer { id } }').type, 'query');
+    assert.equal(describeQuery('query A { a } mutation B { b }', 'B').type, 'mutation');
+  });
+
+  it('replays queries and read-only persisted operations, never mutations', () => {
+    const apq = { operationName: 'ArticleBody', variables: { id: '42' }, extensions: { persistedQuery: { version: 1, sha256Hash: 'ab' } } };
+    assert.equal(isReplayable('GET', { query: '{ article { body } }' }), true);
+    assert.equal(isReplayable('POST', { query: 'mutation Like { like }' }), false);
+    assert.equal(isReplayable('GET', apq), true);
+    assert.equal(isReplayable('POST', apq), true);
+    assert.equal(isReplayable('POST', { ...apq, operationName: 'UpdateReadingList' }), false);
+    assert.equal(isReplayable('POST', { ...apq, operationName: undefined }), false);
+  });
+
+  it('only parses GraphQL-shaped requests', () => {
+    assert.equal(parseOperations('GET', 'https://shop.example/search?query=shoes', null, '{"items":[]}').length, 0);
+    const ops = parseOperations('POST', 'https://example.com/api', JSON.stringify({ query: 'query A { a }', operationName: 'A' }), '{"data":{}}');
+    assert.deepEqual(ops.map(op => op.operationName), ['A']);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * The probes that judge captured content (ctx.assess), run without a browser: ctx is a plain
+ * object whose fetchText is answered in-process by the fixture routes and whose page serves
+ * the fixture HTML. Probes that read the live DOM (overlays, screenshots, meters, cookies,
+ * providers, markup) are covered by scan.test.js only.
+ *
+ *   node --test test/probes.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ROUTES, FULL_TEXT, FULL_BODY, TEASER_BODY, APQ_HASH } = require('./fixtures/server');
+const content = require('../lib/content');
+const leak = require('../lib/leak');
+const { DEFAULT_CONFIG, compileHeuristics } = require('../lib/heuristics');
+
+const ORIGIN = 'http://fixture.local';
+const HEURISTICS = compileHeuristics(DEFAULT_CONFIG);
+const BROWSER_UA = HEURISTICS.USER_AGENTS.find(ua => !/bot/i.test(ua));
+
+const probe = (id) => require(`../probes/${id}`);
+const lower = (h) => Object.fromEntries(Object.entries(h || {}).map(([k, v]) => [k.toLowerCase(), String(v)]));
+
+/* fetchText() with its defaults (Googlebot UA, Google referer), served by the fixture ROUTES */
+async function fixtureFetch(url, opts = {}) {
+  const u = new URL(url);
+  const route = ROUTES[u.pathname];
+  if (!route) return { status: 404, headers: { 'content-type': 'text/html' }, text: '' };
+  const headers = {
+    'user-agent': opts.ua || 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    ...(opts.referer === null ? {} : { referer: opts.referer || 'https://www.google.com/' }),
+    ...lower(opts.headers)
+  };
+  const out = route({ method: opts.method || 'GET', headers }, u, opts.body || '');
+  return { status: out.status || 200, headers: { 'content-type': `${out.type || 'text/html'}; charset=utf-8`, ...lower(out.headers) }, text: out.body };
+}
+
+/* Anonymous browser view of a fixture page */
+function servedHtml(path) {
+  return ROUTES[path]({ method: 'GET', headers: { 'user-agent': BROWSER_UA } }, new URL(ORIGIN + path), '').body;
+}
+
+/*
+ * ctx for one probe run on a fixture page. `teaser` is what the browser rendered (default: the
+ * page as served), `evaluate(fn, arg)` stands in for page.evaluate and `premium` is a
+ * subscriber baseline text; findings added late land in `ctx.added`.
+ */
+function probeCtx(path, { teaser = servedHtml(path), evaluate = () => null, responses = [], premium = null, state = {}, findings = [], fetchArchiveContent } = {}) {
+  const html = teaser;
+  const teaserLength = content.analyzeHtmlContent(html).contentBytes;
+  /* The scanner measures innerText; extractContent() likewise drops display:none nodes */
+  const teaserText = content.extractContent(html).text;
+  const baseline = premium ? { shingles: leak.shingles(premium) } : null;
+  const teaserPct = baseline ? leak.leakPercent(baseline.shingles, teaserText) : null;
+  const page = {
+    content: async () => html,
+    evaluate: async (fn, arg) => evaluate(fn, arg)
+  };
+  const listeners = [];
+  const ctx = {
+    url: ORIGIN + path,
+    cfg: { timeout: 15000, noPreview: false },
+    page,
+    context: { cookies: async () => [] },
+    heuristics: HEURISTICS,
+    lang: 'en',
+    util: {
+      ...content,
+      htmlToText: leak.htmlToText,
+      textSimilarity: (a, b) => leak.textSimilarity(a, b),
+      sha256: (s) => crypto.createHash('sha256').update(s || '').digest('hex'),
+      short: (s, n = 240) => (s || '').slice(0, n),
+      safeName: (u) => u.replace(/[^a-z0-9._-]+/gi, '_').slice(0, 160),
+      pageMetrics: async (p) => ({ sel: 'article', text: leak.htmlToText(await p.content()), overlays: [] })
+    },
+    state: {
+      teaserLength,
+      teaserTextLength: teaserText.length,
+      xhrScan: [],
+      jsonProbes: [],
+      headerChecks: [],
+      altViews: [],
+      hydration: [],
+      cacheHeaders: [],
+      graphqlScan: { endpoints: [], operations: [] },
+      entitlementReplay: [],
+      ...state
+    },
+    findings,
+    added: [],
+    saved: [],
+    fetchText: fixtureFetch,
+    fetchArchiveContent,
+    /* Browser contexts for ua_referer: page.goto fetches with the context's UA */
+    newContext: async (opts = {}) => ({
+      newPage: async () => {
+        let served = '';
+        return {
+          goto: async (url, { referer } = {}) => {
+            const r = await fixtureFetch(url, { ua: opts.userAgent || BROWSER_UA, referer: referer || null });
+            served = r.text;
+            return { status: () => r.status, text: async () => r.text };
+          },
+          waitForTimeout: async () => {},
+          content: async () => served
+        };
+      },
+      close: async () => {}
+    }),
+    saveContent: async (name, raw, opts = {}) => {
+      ctx.saved.push({ name, raw, body: opts.body });
+      return `content/${name}`;
+    },
+    addFinding: (f) => ctx.added.push(f),
+    network: {
+      responses,
+      onResponse: (fn) => listeners.push(fn),
+      emit: (r) => Promise.all(listeners.map(fn => fn(r)))
+    },
+    assess: (artifact, opts = {}) => content.assessContent(artifact, opts, { rules: HEURISTICS, teaserLength, lang: 'en', premium: baseline, teaserPct })
+  };
+  return ctx;
+}
+
+async function runProbe(id, path, opts) {
+  const ctx = probeCtx(path, opts);
+  const out = (await probe(id).run(ctx)) || {};
+  return { ctx, out, findings: [...(out.findings || []), ...ctx.added] };
+}
+
+const ids = (findings) => findings.map(f => `${f.id}:${f.severity}`).sort();
+
+/* A browser-captured response (ctx.network.responses) of a fixture route */
+async function captured(path, { method = 'GET', postData = null, headers = {} } = {}) {
+  const url = ORIGIN + path;
+  const r = await fixtureFetch(url, { method, body: postData, ua: BROWSER_UA, referer: ORIGIN + '/', headers });
+  return { url, method, postData, status: r.status, ct: r.headers['content-type'], content: r.text, phase: 'load', requestHeaders: { 'user-agent': BROWSER_UA, ...lower(headers) } };
+}
+
+describe('page variants', () => {
+  it('amp_unhide reports a full AMP page, not a teaser one', async () => {
+    const hit = await runProbe('amp_unhide', '/news/amp-article', { evaluate: () => ORIGIN + '/news/amp-article/amp' });
+    assert.deepEqual(ids(hit.findings), ['amp_unhide:High']);
+    assert.equal(hit.ctx.saved[0].name, 'amp_unhide.html');
+    const miss = await runProbe('amp_unhide', '/news/amp-article', { evaluate: () => ORIGIN + '/news/amp-article' });
+    assert.deepEqual(miss.findings, []);
+  });
+
+  it('alt_view reports the print variant only', async () => {
+    const { ctx, findings } = await runProbe('alt_view', '/news/alt-article');
+    assert.deepEqual(ids(findings), ['alt_view:High']);
+    assert.match(findings[0].evidence.url, /print=1$/);
+    assert.equal(ctx.state.altViews.filter(v => v.contentPath).length, 1);
+  });
+
+  it('archive_bypass judges the snapshot it is given', async () => {
+    const full = ROUTES['/news/amp-article/amp']().body;
+    const hit = await runProbe('archive_bypass', '/news/amp-article', { fetchArchiveContent: async () => full });
+    assert.deepEqual(ids(hit.findings), ['archive_bypass:Critical']);
+    const miss = await runProbe('archive_bypass', '/news/amp-article', { fetchArchiveContent: async () => servedHtml('/news/amp-article') });
+    assert.deepEqual(miss.findings, []);
+  });
+
+  it('ua_referer reports crawler-only bodies, not pages exposed to everyone', async () => {
+    const { ctx, findings } = await runProbe('ua_referer', '/news/ua-article');
+    assert.deepEqual(ids(findings), ['ua_referer_bypass:High']);
+    assert.ok(findings[0].evidence.combinations.every(c => /bot/i.test(c.ua)));
+    assert.equal(ctx.state.headerChecks[0].exposed, false);
+    /* meter-article serves the full body to everyone and cuts it down in the browser */
+    const open = await runProbe('ua_referer', '/news/meter-article', { teaser: servedHtml('/news/amp-article') });
+    assert.deepEqual(open.findings, []);
+    assert.equal(open.ctx.state.headerChecks[0].exposed, true);
+  });
+
+  it('cache_headers reports a cacheable crawler body without Vary', async () => {
+    const { ctx, findings } = await runProbe('cache_headers', '/news/cache-article');
+    assert.deepEqual(ids(findings), ['cache_crawler_leak:High', 'cache_vary_missing:Medium']);
+    assert.deepEqual(ctx.state.cacheHeaders.map(r => [r.variant, r.exposed]), [['anonymous', false], ['crawler', true]]);
+  });
+});
+
+describe('JSON endpoints', () => {
+  it('json_url and public_json read the body of ?format=json', async () => {
+    assert.deepEqual(ids((await runProbe('json_url', '/news/json-article')).findings), ['json_url:Critical']);
+    const { ctx, findings } = await runProbe('public_json', '/news/json-article');
+    assert.deepEqual(ids(findings), ['public_json:Critical']);
+    assert.equal(ctx.saved[0].body, FULL_TEXT);
+  });
+
+  it('json_url ignores pages without a JSON variant', async () => {
+    assert.deepEqual((await runProbe('json_url', '/news/amp-article')).findings, []);
+  });
+});
+
+describe('embedded state', () => {
+  it('structured_data extracts JSON-LD and __NEXT_DATA__ bodies', async () => {
+    const ld = await runProbe('structured_data', '/news/jsonld-article', { evaluate: () => ({ count: 1, withBody: 1 }) });
+    assert.deepEqual(ids(ld.findings), ['jsonld_article:High', 'jsonld_extracted:High']);
+    const next = await runProbe('structured_data', '/news/next-article', { evaluate: () => ({ count: 0, withBody: 0 }) });
+    assert.deepEqual(ids(next.findings), ['next_data_extracted:High']);
+    const meta = await runProbe('structured_data', '/news/jsonld-meta-article', { evaluate: () => ({ count: 1, withBody: 0 }) });
+    assert.deepEqual(ids(meta.findings), ['jsonld_present:Info']);
+  });
+
+  it('hydration_state finds the body in each framework blob of the raw HTML', async () => {
+    const { ctx, findings } = await runProbe('hydration_state', '/news/hydration-article', { evaluate: (fn, arg) => (arg ? {} : BROWSER_UA) });
+    assert.deepEqual(ids(findings), ['apollo_state:High', 'astro_props:High', 'nuxt_state:High', 'redux_state:High']);
+    assert.equal(ctx.state.hydration.find(h => h.framework === 'Nuxt').stateKey, '__NUXT_DATA__.state.article.body');
+  });
+
+  it('hydration_state reports nothing for a page without hydration state', async () => {
+    const { findings } = await runProbe('hydration_state', '/news/amp-article', { evaluate: (fn, arg) => (arg ? {} : BROWSER_UA) });
+    assert.deepEqual(findings, []);
+  });
+
+  it('dom_article reports a full body in the DOM, and a CSS-hidden one against a baseline', async () => {
+    const full = await runProbe('dom_article', '/news/dom-article', { evaluate: () => ({ sel: 'article', len: FULL_TEXT.length, content: FULL_BODY }) });
+    assert.deepEqual(ids(full.findings), ['dom_article:High']);
+    const teaser = await runProbe('dom_article', '/news/dom-article', { evaluate: () => ({ sel: 'article', len: 600, content: TEASER_BODY }) });
+    assert.deepEqual(teaser.findings, []);
+    const hidden = `${TEASER_BODY}<div class="article-rest" style="display:none">${FULL_BODY}</div>`;
+    const { ctx, findings } = await runProbe('dom_article', '/news/hidden-article', {
+      premium: FULL_TEXT,
+      evaluate: () => ({ sel: 'article', len: FULL_TEXT.length, content: hidden })
+    });
+    assert.deepEqual(ids(findings), ['dom_article:High']);
+    assert.ok(ctx.assess(hidden).leakPct >= 50);
+  });
+});
+
+describe('captured traffic', () => {
+  it('xhr_monitor reports full JSON and HTML responses as they arrive', async () => {
+    const { ctx } = await runProbe('xhr_monitor', '/news/xhr-article');
+    await ctx.network.emit(await captured('/api/articles/42'));
+    await ctx.network.emit(await captured('/news/xhr-article/fragment?view=fragment'));
+    await ctx.network.emit(await captured('/news/xhr-article'));
+    assert.deepEqual(ids(ctx.added), ['xhr_fragment:High', 'xhr_json:High']);
+    assert.equal(ctx.state.xhrScan.length, 3);
+  });
+
+  it('xhr_refetch re-fetches fragment-looking URLs', async () => {
+    const xhrScan = [
+      { url: ORIGIN + '/news/xhr-article/fragment?view=fragment', ct: 'text/html' },
+      { url: ORIGIN + '/api/articles/42', ct: 'application/json' }
+    ];
+    const { findings } = await runProbe('xhr_refetch', '/news/xhr-article', { state: { xhrScan } });
+    assert.deepEqual(ids(findings), ['xhr_refetch:High']);
+    assert.ok(xhrScan[0].refetch && !xhrScan[1].refetch);
+  });
+
+  it('graphql_scan replays queries and persisted operations anonymously and probes introspection', async () => {
+    const query = await captured('/graphql', {
+      method: 'POST',
+      postData: JSON.stringify({ operationName: 'ArticleBody', query: 'query ArticleBody($id: ID!) { article(id: $id) { id title body isPremium } }', variables: { id: '42' } }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const { ctx, findings } = await runProbe('graphql_scan', '/news/graphql-article', { responses: [query] });
+    assert.deepEqual(ids(findings), ['graphql_anonymous_body:High', 'graphql_introspection:Medium']);
+    assert.deepEqual(ctx.state.graphqlScan.operations[0].fields.body, ['body']);
+
+    const apq = await captured('/graphql?operationName=ArticleBody&variables=' + encodeURIComponent('{"id":"42"}') +
+      '&extensions=' + encodeURIComponent(JSON.stringify({ persistedQuery: { version: 1, sha256Hash: APQ_HASH } })));
+    const persisted = await runProbe('graphql_scan', '/news/apq-article', { responses: [apq] });
+    assert.ok(persisted.findings.some(f => f.id === 'graphql_anonymous_body'));
+    assert.equal(persisted.ctx.state.graphqlScan.operations[0].persisted, true);
+  });
+
+  it('entitlement_replay tells anonymous leaks from tampered ones', async () => {
+    const open = await runProbe('entitlement_replay', '/news/xhr-article', { responses: [await captured('/api/articles/42')] });
+    assert.deepEqual(ids(open.findings), ['entitlement_replay:Critical']);
+    const tampered = await runProbe('entitlement_replay', '/news/api-article', { responses: [await captured('/api/premium/7')] });
+    assert.deepEqual(ids(tampered.findings), ['entitlement_replay:High']);
+    assert.deepEqual(tampered.findings[0].evidence.variants, ['tampered']);
+  });
+
+  it('entitlement_replay judges the neighbouring article by length, not by the baseline', async () => {
+    const { ctx, findings } = await runProbe('entitlement_replay', '/news/idor-article', { premium: FULL_TEXT, responses: [await captured('/api/locked/19')] });
+    assert.deepEqual(findings.map(f => f.evidence.variants), [['other_article']]);
+    const other = ctx.state.entitlementReplay[0].variants.find(v => v.variant === 'other_article');
+    assert.equal(other.leakPct, null);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Runs smoke-paywall.js against the offline fixture site and checks the reported
+ * findings[].id / severity for every vector the fixture exhibits.
+ *
+ *   node --test test/scan.test.js
+ *
+ * Needs Playwright with Chromium (npx playwright install chromium). archive_bypass
+ * is not covered: it needs archive.is, which no offline fixture can stand in for.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fixture = require('./fixtures/server');
+
+const SCANNER = path.join(__dirname, '..', 'smoke-paywall.js');
+const FIXTURE_PROBES = path.join(__dirname, 'fixtures', 'probes');
+
+/* path, probes to run, [id, severity] expected in report.json, ids that must be absent */
+const CASES = [
+  { path: '/news/amp-article', only: ['amp_unhide'], expect: [['amp_unhide', 'High']] },
+  { path: '/news/json-article', only: ['json_url', 'public_json'], expect: [['json_url', 'Critical'], ['public_json', 'Critical']] },
+  { path: '/news/jsonld-article', only: ['structured_data'], expect: [['jsonld_article', 'High'], ['jsonld_extracted', 'High']] },
+  { path: '/news/jsonld-meta-article', only: ['structured_data'], expect: [['jsonld_present', 'Info']] },
+  { path: '/news/jsonld-meta-article', only: ['paywall_markup'], expect: [['paywall_markup_invalid', 'Medium']] },
+  { path: '/news/markup-article', only: ['paywall_markup'], expect: [['paywall_markup_ok', 'Info']] },
+  { path: '/news/provider-article', only: ['paywall_markup'], expect: [['paywall_markup_missing', 'Medium']] },
+  { path: '/news/de-article', only: ['paywall_markup'], expect: [['paywall_markup_missing', 'Medium']] },
+  { path: '/news/free-article', only: ['paywall_markup'], expect: [], absent: ['paywall_markup_missing'] },
+  { path: '/news/next-article', only: ['structured_data'], expect: [['next_data_extracted', 'High']] },
+  {
+    path: '/news/hydration-article',
+    only: ['hydration_state'],
+    expect: [['nuxt_state', 'High'], ['apollo_state', 'High'], ['redux_state', 'High'], ['astro_props', 'High']]
+  },
+  { path: '/news/ua-article', only: ['ua_referer'], expect: [['ua_referer_bypass', 'High']] },
+  {
+    path: '/news/cache-article',
+    only: ['cache_headers'],
+    expect: [['cache_crawler_leak', 'High'], ['cache_vary_missing', 'Medium']]
+  },
+  { path: '/news/alt-article', only: ['alt_view'], expect: [['alt_view', 'High']] },
+  { path: '/news/dom-article', only: ['dom_article'], expect: [['dom_article', 'High']] },
+  {
+    path: '/news/xhr-article',
+    only: ['xhr_monitor', 'xhr_refetch'],
+    expect: [['xhr_fragment', 'High'], ['xhr_refetch', 'High'], ['xhr_json', 'High']]
+  },
+  { path: '/news/xhr-article', only: ['entitlement_replay'], expect: [['entitlement_replay', 'Critical']] },
+  { path: '/news/api-article', only: ['entitlement_replay'], expect: [['entitlement_replay', 'High']] },
+  {
+    path: '/news/graphql-article',
+    only: ['graphql_scan'],
+    expect: [['graphql_anonymous_body', 'High'], ['graphql_introspection', 'Medium']]
+  },
+  { path: '/news/apq-article', only: ['graphql_scan'], expect: [['graphql_anonymous_body', 'High']] },
+  {
+    path: '/news/provider-article',
+    only: ['paywall_provider', 'blocked_scripts', 'cookie_domain', 'dynamic_watcher', 'script_injection', 'cookie_reset', 'reader_mode', 'global_flags'],
+    expect: [
+      ['paywall_provider', 'Info'], ['blocked_scripts', 'Medium'], ['cookie_domain', 'Info'], ['dynamic_watcher', 'Medium'],
+      ['script_injection', 'Medium'], ['reader_mode', 'Medium'], ['global_flags', 'Info']
+    ]
+  },
+  { path: '/news/meter-article', only: ['meter_forensics'], expect: [['meter_client_side', 'High']] },
+  { path: '/news/overlay-article', only: ['dom_article', 'client_side_overlay'], expect: [['client_side_overlay', 'High']] },
+  {
+    path: '/news/overlay-article',
+    only: ['baseline_screenshot', 'final_screenshots', 'visual_diff'],
+    expect: [['overlay_coverage', 'Medium']]
+  },
+  { path: '/news/print-article', only: ['print_css'], expect: [['print_css', 'Info']] },
+  { path: '/news/sw-article', only: ['service_worker'], expect: [['service_worker', 'Info']] }
+];
+
+function browserSkipReason() {
+  try {
+    const { chromium } = require('playwright');
+    if (fs.existsSync(chromium.executablePath())) return false;
+  } catch {}
+  return 'Playwright Chromium is not installed (npx playwright install chromium)';
+}
+
+function writeScope(dir) {
+  const fp = path.join(dir, 'scope.json');
+  fs.writeFileSync(fp, JSON.stringify({
+    engagementId: 'FIXTURE',
+    tester: 'test suite',
+    validFrom: new Date(Date.now() - 3600e3).toISOString(),
+    validUntil: new Date(Date.now() + 86400e3).toISOString(),
+    allow: [{ host: '127.0.0.1' }]
+  }));
+  return fp;
+}
+
+/* storageState of a fixture subscriber (the fixture_sub cookie) */
+function writeSubscriberState(dir) {
+  const fp = path.join(dir, 'subscriber.json');
+  fs.writeFileSync(fp, JSON.stringify({
+    cookies: [{ name: 'fixture_sub', value: '1', domain: '127.0.0.1', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }],
+    origins: []
+  }));
+  return fp;
+}
+
+/* Runs one scan in a fresh working directory and resolves with its report.json */
+function runScan(url, only, extra = []) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-paywall-test-'));
+  const args = [
+    SCANNER, '--url', url, '--scope', writeScope(cwd), '--timeout', '15000',
+    '--probes-dir', FIXTURE_PROBES, '--only', [...only, 'fixture_settle'].join(','), ...extra
+  ];
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', d => { output += d; });
+    child.stderr.on('data', d => { output += d; });
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      const run = fs.readdirSync(cwd).find(f => f.startsWith('smoke_paywall_'));
+      const target = run && fs.readdirSync(path.join(cwd, run)).find(f => fs.existsSync(path.join(cwd, run, f, 'report.json')));
+      if (code !== 0 || !target) return reject(new Error(`scanner exited with ${code}:\n${output}`));
+      const dir = path.join(cwd, run, target);
+      resolve({ cwd, dir, report: JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')) });
+    });
+  });
+}
+
+describe('smoke-paywall against the fixture site', { skip: browserSkipReason() }, () => {
+  let site;
+  before(async () => { site = await fixture.start(); });
+  after(async () => { if (site) await site.close(); });
+
+  for (const c of CASES) {
+    describe(c.path, () => {
+      let result;
+      before(async () => { result = await runScan(site.origin + c.path, c.only); });
+      after(() => { if (result) fs.rmSync(result.cwd, { recursive: true, force: true }); });
+
+      for (const [id, severity] of c.expect) {
+        it(`reports ${id} (${severity})`, () => {
+          const f = result.report.findings.find(x => x.id === id);
+          assert.ok(f, `no ${id} finding; got ${result.report.findings.map(x => x.id).join(', ') || 'none'}`);
+          assert.equal(f.severity, severity);
+        });
+      }
+      for (const id of c.absent || []) {
+        it(`does not report ${id}`, () => {
+          assert.ok(!result.report.findings.some(x => x.id === id), `unexpected ${id}`);
+        });
+      }
+    });
+  }
+
+  it('blocks requests outside the scope', async () => {
+    const { cwd, dir, report } = await runScan(site.origin + '/news/provider-article', ['blocked_scripts']);
+    try {
+      assert.ok(report.scope.blockedRequests > 0, 'the piano.io script should have been blocked');
+      const log = JSON.parse(fs.readFileSync(path.join(dir, 'scope_log.json'), 'utf8'));
+      assert.ok(log.some(e => e.url.includes('piano.io')));
+    } finally {
+      fs.rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a CSS-hidden body against a subscriber baseline', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-paywall-state-'));
+    try {
+      const { cwd, report } = await runScan(site.origin + '/news/hidden-article', ['dom_article'], ['--subscriber-state', writeSubscriberState(dir)]);
+      fs.rmSync(cwd, { recursive: true, force: true });
+      assert.ok(report.leakage.teaserPct < 50, `anonymous page scored ${report.leakage.teaserPct}%`);
+      const f = report.findings.find(x => x.id === 'dom_article');
+      assert.ok(f, `no dom_article finding; got ${report.findings.map(x => x.id).join(', ') || 'none'}`);
+      assert.ok(f.evidence.leakPct >= 50);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('judges another article by length, not by the subscriber baseline', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-paywall-state-'));
+    try {
+      const { cwd, report } = await runScan(site.origin + '/news/idor-article', ['entitlement_replay'], ['--subscriber-state', writeSubscriberState(dir)]);
+      fs.rmSync(cwd, { recursive: true, force: true });
+      const f = report.findings.find(x => x.id === 'entitlement_replay');
+      assert.ok(f, `no entitlement_replay finding; got ${report.findings.map(x => x.id).join(', ') || 'none'}`);
+      assert.deepEqual(f.evidence.variants, ['other_article']);
+      assert.equal(f.severity, 'High');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('replays a recorded run with the same findings', async () => {
+    const only = ['json_url', 'public_json'];
+    const recorded = await runScan(site.origin + '/news/json-article', only, ['--record-har']);
+    try {
+      const har = JSON.parse(fs.readFileSync(path.join(recorded.dir, 'run.har'), 'utf8'));
+      assert.ok(har.log.entries.some(e => e._source === 'browser'));
+      assert.ok(har.log.entries.some(e => e._source === 'fetchText' && e._phase === 'json_url'));
+      const replayed = await runScan(site.origin + '/news/json-article', only, ['--replay', path.join(recorded.dir, 'run.har')]);
+      try {
+        const ids = (r) => r.findings.map(f => `${f.id}:${f.severity}`).sort();
+        assert.deepEqual(ids(replayed.report), ids(recorded.report));
+        assert.ok(replayed.report.replay);
+      } finally {
+        fs.rmSync(replayed.cwd, { recursive: true, force: true });
+      }
+    } finally {
+      fs.rmSync(recorded.cwd, { recursive: true, force: true });
+    }
+  });
+});